@@ -0,0 +1,501 @@
+const AIQuota = require('../models/AIQuota');
+const AIUsage = require('../models/AIUsage');
+const User = require('../models/User');
+const Channel = require('../models/Channel');
+const RetentionLog = require('../models/RetentionLog');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+const { syncRetentionIndexes } = require('../services/settingsService');
+const { purgeExpiredMessages } = require('../services/retentionService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Default report range in days
+const DEFAULT_REPORT_DAYS = 30;
+
+// Workspace settings admins can change, with their allowed ranges
+const SETTINGS_RANGES = {
+  max_public_channels: [1, 1000],
+  message_edit_window_minutes: [0, 10080],
+  max_message_length: [1, 40000],
+  max_upload_size_mb: [1, 100],
+  message_retention_days: [0, 3650],
+  notification_retention_days: [0, 3650]
+};
+
+/**
+ * Estimate provider cost from token counts
+ * Prices per 1K tokens come from AI_COST_PER_1K_PROMPT_TOKENS and AI_COST_PER_1K_COMPLETION_TOKENS.
+ * @param {Number} promptTokens - Prompt tokens
+ * @param {Number} completionTokens - Completion tokens
+ * @returns {Number} Estimated cost
+ */
+const estimateCost = (promptTokens, completionTokens) => {
+  const promptPrice = parseFloat(process.env.AI_COST_PER_1K_PROMPT_TOKENS) || 0;
+  const completionPrice = parseFloat(process.env.AI_COST_PER_1K_COMPLETION_TOKENS) || 0;
+  const cost = (promptTokens / 1000) * promptPrice + (completionTokens / 1000) * completionPrice;
+  return Math.round(cost * 10000) / 10000;
+};
+
+/**
+ * Add derived fields to summed usage metrics
+ * @param {Object} stats - Summed metrics
+ * @returns {Object} Metrics with average latency, error rate and cost
+ */
+const withDerivedStats = (stats) => {
+  const attempts = stats.requests + stats.errors;
+  return {
+    ...stats,
+    avg_latency_ms: attempts > 0 ? Math.round(stats.total_latency_ms / attempts) : 0,
+    error_rate: attempts > 0 ? Math.round((stats.errors / attempts) * 10000) / 10000 : 0,
+    estimated_cost: estimateCost(stats.prompt_tokens, stats.completion_tokens)
+  };
+};
+
+// Summed metrics used by every report group
+const USAGE_SUMS = {
+  requests: { $sum: '$request_count' },
+  errors: { $sum: '$error_count' },
+  prompt_tokens: { $sum: '$prompt_tokens' },
+  completion_tokens: { $sum: '$completion_tokens' },
+  total_latency_ms: { $sum: '$total_latency_ms' }
+};
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {String} Escaped cell
+ */
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Get AI quota rules
+ * @route GET /api/admin/ai-quotas
+ * @access Private (Admin)
+ */
+exports.getAIQuotas = async (req, res, next) => {
+  try {
+    const { scope, user_id, role, feature_type } = req.query;
+
+    // Build query
+    const query = {};
+    if (scope) query.scope = scope;
+    if (user_id) query.user_id = user_id;
+    if (role) query.role = role;
+    if (feature_type) query.feature_type = feature_type;
+
+    const quotas = await AIQuota.find(query)
+      .sort({ scope: 1, feature_type: 1, window: 1 })
+      .populate('user_id', 'display_name email role');
+
+    res.status(200).json({
+      status: 'success',
+      results: quotas.length,
+      data: {
+        quotas
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or replace an AI quota rule
+ * A rule is identified by its subject, feature type and window.
+ * @route POST /api/admin/ai-quotas
+ * @access Private (Admin)
+ */
+exports.setAIQuota = async (req, res, next) => {
+  try {
+    const { scope, user_id, role, feature_type = 'all', window = 'day', limit = null, unlimited = false } = req.body;
+
+    if (!['user', 'role'].includes(scope)) {
+      return next(new AppError('Scope must be user or role', 400));
+    }
+
+    if (scope === 'role' && !['admin', 'member'].includes(role)) {
+      return next(new AppError('Role must be admin or member', 400));
+    }
+
+    if (!AIQuota.schema.path('feature_type').enumValues.includes(feature_type)) {
+      return next(new AppError('Invalid feature type', 400));
+    }
+
+    if (!AIQuota.schema.path('window').enumValues.includes(window)) {
+      return next(new AppError('Window must be day, week or month', 400));
+    }
+
+    if (!unlimited && !(Number.isInteger(limit) && limit >= 0)) {
+      return next(new AppError('Limit must be a non-negative integer unless the quota is unlimited', 400));
+    }
+
+    // Check if user exists for user quotas
+    if (scope === 'user') {
+      const user = await User.findById(user_id);
+      if (!user) {
+        return next(new AppError('User not found', 404));
+      }
+    }
+
+    const key = {
+      scope,
+      user_id: scope === 'user' ? user_id : null,
+      role: scope === 'role' ? role : null,
+      feature_type,
+      window
+    };
+
+    // Update existing rule or create a new one
+    let quota = await AIQuota.findOne(key);
+    const isNew = !quota;
+    if (isNew) {
+      quota = new AIQuota({ ...key, created_by: req.user._id });
+    }
+
+    quota.limit = unlimited ? null : limit;
+    quota.unlimited = Boolean(unlimited);
+    await quota.save();
+
+    await quota.populate('user_id', 'display_name email role');
+
+    res.status(isNew ? 201 : 200).json({
+      status: 'success',
+      data: {
+        quota
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the limit of an AI quota rule
+ * @route PATCH /api/admin/ai-quotas/:id
+ * @access Private (Admin)
+ */
+exports.updateAIQuota = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit, unlimited } = req.body;
+
+    // Find quota
+    const quota = await AIQuota.findById(id);
+
+    // Check if quota exists
+    if (!quota) {
+      return next(new AppError('Quota not found', 404));
+    }
+
+    if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+      return next(new AppError('Limit must be a non-negative integer', 400));
+    }
+
+    if (unlimited !== undefined) quota.unlimited = Boolean(unlimited);
+    if (limit !== undefined) quota.limit = limit;
+    if (quota.unlimited) quota.limit = null;
+    await quota.save();
+
+    await quota.populate('user_id', 'display_name email role');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quota
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an AI quota rule
+ * @route DELETE /api/admin/ai-quotas/:id
+ * @access Private (Admin)
+ */
+exports.deleteAIQuota = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const quota = await AIQuota.findByIdAndDelete(id);
+
+    // Check if quota exists
+    if (!quota) {
+      return next(new AppError('Quota not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get AI usage analytics for a date range
+ * @route GET /api/admin/ai-usage
+ * @access Private (Admin)
+ */
+exports.getAIUsage = async (req, res, next) => {
+  try {
+    const { from, to, feature_type, top = 10, format = 'json' } = req.query;
+
+    // Default to the last 30 days (UTC)
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return next(new AppError('Invalid date range', 400));
+    }
+
+    if (start > end) {
+      return next(new AppError('from must be before to', 400));
+    }
+
+    const match = { date: { $gte: start, $lte: end } };
+    if (feature_type) match.feature_type = feature_type;
+
+    const dayExpression = { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: 'UTC' } };
+
+    // Requests per feature per day
+    const byFeatureDay = await AIUsage.aggregate([
+      { $match: match },
+      { $group: { _id: { day: dayExpression, feature_type: '$feature_type' }, ...USAGE_SUMS } },
+      { $sort: { '_id.day': 1, '_id.feature_type': 1 } }
+    ]);
+
+    const rows = byFeatureDay.map(({ _id, ...stats }) => withDerivedStats({
+      date: _id.day,
+      feature_type: _id.feature_type,
+      ...stats
+    }));
+
+    // CSV export of the per-feature daily rows
+    if (format === 'csv') {
+      const columns = [
+        'date', 'feature_type', 'requests', 'errors', 'error_rate', 'prompt_tokens',
+        'completion_tokens', 'avg_latency_ms', 'estimated_cost'
+      ];
+      const csv = [columns.join(',')]
+        .concat(rows.map(row => columns.map(column => toCsvCell(row[column])).join(',')))
+        .join('\n');
+
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="ai-usage-${start.toISOString().slice(0, 10)}-${end.toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    // Daily trend across all features
+    const trend = await AIUsage.aggregate([
+      { $match: match },
+      { $group: { _id: dayExpression, ...USAGE_SUMS } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    // Top users by requests
+    const topUsers = await AIUsage.aggregate([
+      { $match: match },
+      { $group: { _id: '$user_id', ...USAGE_SUMS } },
+      { $sort: { requests: -1 } },
+      { $limit: Math.min(Math.max(parseInt(top) || 10, 1), 100) },
+      { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    // Totals per provider for reliability
+    const byProvider = await AIUsage.aggregate([
+      { $match: match },
+      { $group: { _id: '$provider', ...USAGE_SUMS } },
+      { $sort: { requests: -1 } }
+    ]);
+
+    const totals = rows.reduce((sum, row) => {
+      Object.keys(USAGE_SUMS).forEach((key) => {
+        sum[key] += row[key];
+      });
+      return sum;
+    }, { requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_latency_ms: 0 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        from: start,
+        to: end,
+        totals: withDerivedStats(totals),
+        by_feature_day: rows,
+        trend: trend.map(({ _id, ...stats }) => withDerivedStats({ date: _id, ...stats })),
+        top_users: topUsers.map(({ _id, user, ...stats }) => withDerivedStats({
+          user_id: _id,
+          display_name: user ? user.display_name : 'Deleted User',
+          email: user ? user.email : null,
+          ...stats
+        })),
+        by_provider: byProvider.map(({ _id, ...stats }) => withDerivedStats({ provider: _id, ...stats }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get workspace settings
+ * @route GET /api/admin/settings
+ * @access Private (Admin)
+ */
+exports.getSettings = async (req, res, next) => {
+  try {
+    const settings = await WorkspaceSettings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        settings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update workspace settings
+ * Changing notification retention rebuilds the Notification TTL index.
+ * @route PATCH /api/admin/settings
+ * @access Private (Admin)
+ */
+exports.updateSettings = async (req, res, next) => {
+  try {
+    const updates = {};
+
+    // Validate each provided setting
+    for (const [key, [min, max]] of Object.entries(SETTINGS_RANGES)) {
+      if (req.body[key] === undefined) continue;
+
+      const value = req.body[key];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return next(new AppError(`${key} must be an integer between ${min} and ${max}`, 400));
+      }
+      updates[key] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return next(new AppError(`Please provide at least one of: ${Object.keys(SETTINGS_RANGES).join(', ')}`, 400));
+    }
+
+    const previous = await WorkspaceSettings.getSettings();
+    const retentionChanged =
+      updates.notification_retention_days !== undefined &&
+      updates.notification_retention_days !== previous.notification_retention_days;
+
+    const settings = await WorkspaceSettings.updateSettings(updates, req.user._id);
+
+    if (retentionChanged) {
+      await syncRetentionIndexes(settings);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        settings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Place or lift a legal hold on a channel
+ * Channels on legal hold are skipped by the retention purge.
+ * @route PUT /api/admin/channels/:id/legal-hold
+ * @access Private (Admin)
+ */
+exports.setLegalHold = async (req, res, next) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return next(new AppError('Enabled must be true or false', 400));
+    }
+
+    const channel = await Channel.findById(req.params.id);
+    if (!channel) {
+      return next(new AppError('Channel not found', 404));
+    }
+
+    channel.legal_hold = enabled;
+    channel.legal_hold_by = enabled ? req.user._id : null;
+    channel.legal_hold_at = enabled ? Date.now() : null;
+    await channel.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the retention purge log
+ * @route GET /api/admin/retention/logs
+ * @access Private (Admin)
+ */
+exports.getRetentionLogs = async (req, res, next) => {
+  try {
+    const { channel_id, limit = 50, before } = req.query;
+
+    // Build query
+    const query = {};
+    if (channel_id) query.channel_id = channel_id;
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return next(new AppError('Invalid before date', 400));
+      }
+      query.created_at = { $lt: beforeDate };
+    }
+
+    const logs = await RetentionLog.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .populate('triggered_by', 'display_name email');
+
+    res.status(200).json({
+      status: 'success',
+      results: logs.length,
+      data: {
+        logs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run the retention purge now
+ * @route POST /api/admin/retention/purge
+ * @access Private (Admin)
+ */
+exports.runRetentionPurge = async (req, res, next) => {
+  try {
+    const result = await purgeExpiredMessages({ trigger: 'manual', triggeredBy: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,420 @@
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const { AppError } = require('../middleware/errorHandler');
+const aiService = require('../services/aiService');
+const quotaService = require('../services/quotaService');
+const { escapeRegex } = require('../utils/escape');
+
+// Number of surrounding channel messages used as reply context
+const REPLY_CONTEXT_LIMIT = 10;
+
+// Maximum number of messages included in a single summary
+const SUMMARY_MESSAGE_LIMIT = parseInt(process.env.AI_SUMMARY_MAX_MESSAGES) || 2000;
+
+// Org brain retrieval limits
+const ORGBRAIN_CANDIDATE_LIMIT = 200;
+const ORGBRAIN_SOURCE_LIMIT = 8;
+const ORGBRAIN_QUESTION_MAX_LENGTH = 500;
+
+// Common words ignored when matching questions to messages
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'who', 'why', 'how',
+  'did', 'does', 'has', 'have', 'had', 'about', 'with', 'this', 'that', 'from', 'our', 'you',
+  'your', 'can', 'will', 'would', 'should', 'which', 'there', 'their', 'they', 'any', 'into'
+]);
+
+/**
+ * Find a message and check that the user is a member of its channel
+ * @param {String} messageId - Message ID
+ * @param {Object} user - Current user
+ * @returns {Object} Message and channel
+ */
+const findAccessibleMessage = async (messageId, user) => {
+  const message = await Message.findById(messageId).populate('author_id', 'display_name email');
+  if (!message || message.is_deleted) {
+    throw new AppError('Message not found', 404);
+  }
+
+  // Check if channel exists and user is a member
+  const channel = await Channel.findById(message.channel_id);
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  if (!channel.members.includes(user._id)) {
+    throw new AppError('You are not a member of this channel', 403);
+  }
+
+  return { message, channel };
+};
+
+/**
+ * Find a channel and check that the user is a member
+ * @param {String} channelId - Channel ID
+ * @param {Object} user - Current user
+ * @returns {Object} Channel
+ */
+const findAccessibleChannel = async (channelId, user) => {
+  const channel = await Channel.findById(channelId);
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  if (!channel.members.includes(user._id)) {
+    throw new AppError('You are not a member of this channel', 403);
+  }
+
+  return channel;
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {String} value - Query value
+ * @param {String} name - Parameter name for error messages
+ * @returns {Date|null} Parsed date
+ */
+const parseDateParam = (value, name) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+
+  return date;
+};
+
+/**
+ * Format messages as "Author: content" lines for prompts
+ * @param {Array} messages - Messages with populated authors
+ * @returns {String} Formatted transcript
+ */
+const formatTranscript = (messages) => {
+  return messages
+    .map(message => {
+      const author = message.author_id ? message.author_id.display_name : 'Unknown';
+      return `${author}: ${message.content}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Get the conversation a message belongs to
+ * Thread replies use the thread, top-level messages use recent channel history.
+ * @param {Object} message - Target message
+ * @returns {Array} Context messages in chronological order
+ */
+const getReplyContext = async (message) => {
+  if (message.thread_parent_id) {
+    const parent = await Message.findById(message.thread_parent_id)
+      .populate('author_id', 'display_name email');
+    const replies = await Message.find({
+      thread_parent_id: message.thread_parent_id,
+      is_deleted: false,
+      created_at: { $lt: message.created_at }
+    })
+      .sort({ created_at: -1 })
+      .limit(REPLY_CONTEXT_LIMIT)
+      .populate('author_id', 'display_name email');
+
+    const context = replies.reverse();
+    return parent && !parent.is_deleted ? [parent, ...context] : context;
+  }
+
+  const history = await Message.find({
+    channel_id: message.channel_id,
+    thread_parent_id: null,
+    is_deleted: false,
+    created_at: { $lt: message.created_at }
+  })
+    .sort({ created_at: -1 })
+    .limit(REPLY_CONTEXT_LIMIT)
+    .populate('author_id', 'display_name email');
+
+  return history.reverse();
+};
+
+/**
+ * Get smart reply suggestions for a message
+ * @route POST /api/ai/messages/:id/replies
+ * @access Private
+ */
+exports.getReplySuggestions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { message, channel } = await findAccessibleMessage(id, req.user);
+    const context = await getReplyContext(message);
+    const author = message.author_id ? message.author_id.display_name : 'Unknown';
+
+    const completion = await aiService.complete(req.user._id, 'reply', {
+      task: 'reply',
+      temperature: 0.7,
+      maxTokens: 200,
+      messages: [
+        {
+          role: 'system',
+          content: `You help ${req.user.display_name} reply in the "${channel.name}" conversation. ` +
+            'Suggest exactly three short, distinct replies that fit the conversation. ' +
+            'Return one reply per line with no numbering or quotes.'
+        },
+        {
+          role: 'user',
+          content: `Conversation so far:\n${formatTranscript(context) || '(no earlier messages)'}`
+        },
+        {
+          role: 'user',
+          content: `Reply to this message from ${author}:\n${message.content}`
+        }
+      ]
+    });
+
+    // Strip list markers the model may add and keep three suggestions
+    const suggestions = completion.content
+      .split('\n')
+      .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').replace(/^"(.*)"$/, '$1').trim())
+      .filter(line => line !== '')
+      .slice(0, 3);
+
+    res.status(200).json({
+      status: 'success',
+      results: suggestions.length,
+      data: {
+        message_id: message._id,
+        thread_parent_id: message.thread_parent_id,
+        suggestions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rewrite a message draft in a target tone
+ * @route POST /api/ai/tone
+ * @access Private
+ */
+exports.rewriteTone = async (req, res, next) => {
+  try {
+    const { content, tone } = req.body;
+
+    const rewritten = await aiService.rewriteTone(req.user._id, content, tone);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tone,
+        original: content,
+        content: rewritten
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Summarize a channel over an optional time range
+ * @route GET /api/ai/channels/:channelId/summary
+ * @access Private
+ */
+exports.getChannelSummary = async (req, res, next) => {
+  try {
+    const { channelId } = req.params;
+
+    const since = parseDateParam(req.query.since, 'since');
+    const until = parseDateParam(req.query.until, 'until');
+    if (since && until && since > until) {
+      return next(new AppError('since must be before until', 400));
+    }
+
+    const channel = await findAccessibleChannel(channelId, req.user);
+
+    // Build query
+    const query = { channel_id: channelId, is_deleted: false };
+    if (since || until) {
+      query.created_at = {};
+      if (since) query.created_at.$gte = since;
+      if (until) query.created_at.$lte = until;
+    }
+
+    // Take the most recent messages, then restore chronological order
+    const messages = await Message.find(query)
+      .sort({ created_at: -1 })
+      .limit(SUMMARY_MESSAGE_LIMIT)
+      .populate('author_id', 'display_name email');
+    messages.reverse();
+
+    const summary = await aiService.summarizeMessages(req.user._id, messages, `the #${channel.name} channel`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel_id: channel._id,
+        since,
+        until,
+        message_count: messages.length,
+        summary
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Summarize a thread
+ * @route GET /api/ai/threads/:messageId/summary
+ * @access Private
+ */
+exports.getThreadSummary = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+
+    const { message } = await findAccessibleMessage(messageId, req.user);
+
+    const replies = await Message.find({
+      thread_parent_id: messageId,
+      is_deleted: false
+    })
+      .sort({ created_at: 1 })
+      .limit(SUMMARY_MESSAGE_LIMIT)
+      .populate('author_id', 'display_name email');
+    const messages = [message, ...replies];
+
+    const summary = await aiService.summarizeMessages(req.user._id, messages, 'a thread');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message_id: message._id,
+        message_count: messages.length,
+        summary
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Extract search keywords from a question
+ * @param {String} text - Question text
+ * @returns {Array} Unique keywords
+ */
+const extractKeywords = (text) => {
+  const words = text.toLowerCase().match(/[a-z0-9']+/g) || [];
+  return [...new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)))];
+};
+
+/**
+ * Find the messages most relevant to a question within the given channels
+ * @param {String} question - Question text
+ * @param {Array} channelIds - Channels the user may read
+ * @returns {Array} Relevant messages with populated authors
+ */
+const findRelevantMessages = async (question, channelIds) => {
+  const keywords = extractKeywords(question);
+  if (keywords.length === 0) return [];
+
+  const candidates = await Message.find({
+    channel_id: { $in: channelIds },
+    is_deleted: false,
+    content: { $regex: keywords.map(escapeRegex).join('|'), $options: 'i' }
+  })
+    .sort({ created_at: -1 })
+    .limit(ORGBRAIN_CANDIDATE_LIMIT)
+    .populate('author_id', 'display_name email');
+
+  // Rank by number of matching keywords; the sort is stable so ties stay newest first
+  const score = message => {
+    const content = message.content.toLowerCase();
+    return keywords.filter(keyword => content.includes(keyword)).length;
+  };
+
+  return candidates
+    .map(message => ({ message, score: score(message) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, ORGBRAIN_SOURCE_LIMIT)
+    .map(result => result.message);
+};
+
+/**
+ * Answer a question from the history of the user's channels
+ * @route POST /api/ai/orgbrain/ask
+ * @access Private
+ */
+exports.askOrgBrain = async (req, res, next) => {
+  try {
+    const { question } = req.body;
+
+    // Validate question
+    if (!question || question.trim() === '') {
+      return next(new AppError('Question is required', 400));
+    }
+
+    if (question.length > ORGBRAIN_QUESTION_MAX_LENGTH) {
+      return next(new AppError(`Question cannot exceed ${ORGBRAIN_QUESTION_MAX_LENGTH} characters`, 400));
+    }
+
+    // Only search channels the user is a member of
+    const channels = await Channel.find({ members: req.user._id });
+    const channelsById = new Map(channels.map(channel => [channel._id.toString(), channel]));
+
+    const sources = await findRelevantMessages(question, channels.map(channel => channel._id));
+
+    const sourceLines = sources.map(message => {
+      const channel = channelsById.get(message.channel_id.toString());
+      const author = message.author_id ? message.author_id.display_name : 'Unknown';
+      return `(#${channel.name}, ${message.created_at.toISOString()}) ${author}: ${message.content.replace(/\n/g, ' ')}`;
+    });
+
+    const { answer, cited } = await aiService.answerQuestion(req.user._id, question.trim(), sourceLines);
+
+    // Only messages the answer cites are returned; an uncited answer has no citations
+    const citedSources = cited.map(index => sources[index]).filter(Boolean);
+
+    const citations = citedSources.map(message => {
+      const channel = channelsById.get(message.channel_id.toString());
+      return {
+        message_id: message._id,
+        channel_id: channel._id,
+        channel_name: channel.name,
+        channel_type: channel.type,
+        author: message.author_id ? message.author_id.display_name : 'Unknown',
+        excerpt: message.content.slice(0, 200),
+        created_at: message.created_at
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        question: question.trim(),
+        answer,
+        citations
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's AI quotas and remaining usage
+ * @route GET /api/ai/usage/me
+ * @access Private
+ */
+exports.getMyUsage = async (req, res, next) => {
+  try {
+    const status = await quotaService.getQuotaStatus(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,50 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
 const { AppError } = require('../middleware/errorHandler');
-const { generateToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const emailService = require('../services/emailService');
+const { updateSocketUser } = require('../services/socketService');
+
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60;
+
+/**
+ * Check that a password is at least 8 characters with a letter and a number
+ * @param {String} password - Candidate password
+ * @returns {Boolean} Whether the password is strong enough
+ */
+const isValidPassword = (password) => {
+  return typeof password === 'string' && password.length >= 8 && /\d/.test(password) && /[a-zA-Z]/.test(password);
+};
+
+/**
+ * Email a user a new verification link
+ * Failures are logged so they never block the request that triggered them.
+ * @param {Object} user - Unverified user
+ */
+const sendVerification = async (user) => {
+  try {
+    const token = await UserToken.issueToken(user._id, 'email_verification', EMAIL_VERIFICATION_EXPIRES_MINUTES);
+    await emailService.sendVerificationEmail(user, token, EMAIL_VERIFICATION_EXPIRES_MINUTES);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+/**
+ * Email a user a password reset link
+ * Failures are logged so they never block the request that triggered them.
+ * @param {Object} user - User who asked for the reset
+ */
+const sendPasswordReset = async (user) => {
+  try {
+    const token = await UserToken.issueToken(user._id, 'password_reset', PASSWORD_RESET_EXPIRES_MINUTES);
+    await emailService.sendPasswordResetEmail(user, token, PASSWORD_RESET_EXPIRES_MINUTES);
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+  }
+};
 
 /**
  * Register a new user
@@ -18,7 +62,7 @@ exports.register = async (req, res, next) => {
     }
     
     // Validate password
-    if (password.length < 8 || !/\d/.test(password) || !/[a-zA-Z]/.test(password)) {
+    if (!isValidPassword(password)) {
       return next(new AppError('Password must be at least 8 characters and contain at least 1 letter and 1 number', 400));
     }
     
@@ -27,11 +71,15 @@ exports.register = async (req, res, next) => {
       email,
       password_hash: password,
       display_name,
-      bio
+      bio,
+      email_verified: false
     });
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Unverified accounts can read but not post until they confirm their email
+    await sendVerification(user);
+    
+    // Start a session for this device
+    const { token, refresh_token } = await sessionService.createSession(user, req);
     
     // Remove password from output
     user.password_hash = undefined;
@@ -39,6 +87,7 @@ exports.register = async (req, res, next) => {
     res.status(201).json({
       status: 'success',
       token,
+      refresh_token,
       data: {
         user
       }
@@ -65,7 +114,7 @@ exports.login = async (req, res, next) => {
     // Check if user exists && password is correct
     const user = await User.findOne({ email }).select('+password_hash');
     
-    if (!user || !(await user.comparePassword(password))) {
+    if (!user || user.is_bot || !(await user.comparePassword(password))) {
       return next(new AppError('Incorrect email or password', 401));
     }
     
@@ -74,8 +123,8 @@ exports.login = async (req, res, next) => {
     user.is_online = true;
     await user.save({ validateBeforeSave: false });
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refresh_token } = await sessionService.createSession(user, req);
     
     // Remove password from output
     user.password_hash = undefined;
@@ -83,6 +132,254 @@ exports.login = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       token,
+      refresh_token,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return next(new AppError('Please provide a refresh token', 400));
+    }
+    
+    const { token, refresh_token: newRefreshToken } = await sessionService.refreshSession(
+      req.app.get('io'),
+      refresh_token,
+      req
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      token,
+      refresh_token: newRefreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out of the current session
+ * @route POST /api/auth/logout
+ * @access Protected
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.app.get('io'), req.session, 'logout');
+    
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Protected
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user_id: req.user._id,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    }).sort({ last_used_at: -1 });
+    
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          is_current: session._id.equals(req.session._id)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions, signing that device out
+ * @route DELETE /api/auth/sessions/:id
+ * @access Protected
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      revoked_at: null
+    });
+    
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+    
+    await sessionService.revokeSession(req.app.get('io'), session, 'revoked');
+    
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke every session except the current one
+ * @route DELETE /api/auth/sessions
+ * @access Protected
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await sessionService.revokeUserSessions(
+      req.app.get('io'),
+      req.user._id,
+      'revoked',
+      req.session._id
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        revoked_count: revokedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a password reset link
+ * Responds the same way whether or not the email belongs to an account.
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return next(new AppError('Please provide your email address', 400));
+    }
+    
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+    
+    // Sent after responding so the response time does not reveal whether the account exists
+    if (user && !user.is_bot) {
+      sendPasswordReset(user);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password with a reset token and sign out every session
+ * @route POST /api/auth/reset-password
+ * @access Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token) {
+      return next(new AppError('Please provide a reset token', 400));
+    }
+    
+    if (!isValidPassword(password)) {
+      return next(new AppError('Password must be at least 8 characters and contain at least 1 letter and 1 number', 400));
+    }
+    
+    const userToken = await UserToken.consumeToken(String(token), 'password_reset');
+    if (!userToken) {
+      return next(new AppError('This reset link is invalid or has expired', 400));
+    }
+    
+    const user = await User.findById(userToken.user_id);
+    if (!user) {
+      return next(new AppError('This reset link is invalid or has expired', 400));
+    }
+    
+    // The reset link was emailed, so the address is confirmed too
+    user.password_hash = password;
+    if (user.email_verified === false) {
+      user.email_verified = true;
+      user.email_verified_at = Date.now();
+    }
+    await user.save();
+    
+    await sessionService.revokeUserSessions(req.app.get('io'), user._id, 'password_reset');
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Your password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm an email address with a verification token
+ * @route POST /api/auth/verify-email
+ * @access Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return next(new AppError('Please provide a verification token', 400));
+    }
+    
+    const userToken = await UserToken.consumeToken(String(token), 'email_verification');
+    if (!userToken) {
+      return next(new AppError('This verification link is invalid or has expired', 400));
+    }
+    
+    const user = await User.findById(userToken.user_id);
+    if (!user) {
+      return next(new AppError('This verification link is invalid or has expired', 400));
+    }
+    
+    if (user.email_verified === false) {
+      user.email_verified = true;
+      user.email_verified_at = Date.now();
+      await user.save();
+      
+      // Let already connected sockets start posting
+      await updateSocketUser(req.app.get('io'), user._id, { email_verified: true });
+    }
+    
+    res.status(200).json({
+      status: 'success',
       data: {
         user
       }
@@ -92,6 +389,28 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * Send a new verification email to the current user
+ * @route POST /api/auth/resend-verification
+ * @access Protected
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.email_verified !== false) {
+      return next(new AppError('Your email address is already verified', 400));
+    }
+    
+    await sendVerification(req.user);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'A new verification link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get current user
  * @route GET /api/auth/me
@@ -109,4 +428,31 @@ exports.getCurrentUser = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Update current user profile
+ * @route PATCH /api/auth/me
+ * @access Protected
+ */
+exports.updateCurrentUser = async (req, res, next) => {
+  try {
+    const { display_name, bio, time_zone } = req.body;
+    
+    // Only allow profile fields to be updated here
+    if (display_name !== undefined) req.user.display_name = display_name;
+    if (bio !== undefined) req.user.bio = bio;
+    if (time_zone !== undefined) req.user.time_zone = time_zone;
+    
+    await req.user.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: req.user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -1,7 +1,168 @@
 const Channel = require('../models/Channel');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const MessageRevision = require('../models/MessageRevision');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
 const { AppError } = require('../middleware/errorHandler');
+const { sendNotification } = require('../services/notificationService');
+const channelService = require('../services/channelService');
+const eventService = require('../services/eventService');
+
+// Direct messages support between 2 and 9 participants
+const DM_MIN_MEMBERS = 2;
+const DM_MAX_MEMBERS = 9;
+
+/**
+ * Add DM display fields built from the other participants
+ * @param {Object} channel - DM channel with populated members
+ * @param {String} userId - Current user ID
+ * @returns {Object} Channel object with display_name, other_user and other_users
+ */
+const formatDmChannel = (channel, userId) => {
+  const otherUsers = channel.members.filter(
+    member => member._id.toString() !== userId.toString()
+  );
+  
+  return {
+    ...channel.toObject(),
+    display_name: otherUsers.length > 0
+      ? otherUsers.map(member => member.display_name).join(', ')
+      : 'Deleted User',
+    is_group: channel.members.length > DM_MIN_MEMBERS,
+    other_user: otherUsers.length === 1 ? otherUsers[0] : null,
+    other_users: otherUsers
+  };
+};
+
+/**
+ * Post a system message about a channel change and broadcast the updated channel
+ * @param {Object} req - Express request
+ * @param {Object} channel - Updated channel
+ * @param {String} content - System message text
+ */
+const announceChannelUpdate = (req, channel, content) =>
+  channelService.announceChannelUpdate(req.app.get('io'), channel, req.user, content);
+
+/**
+ * Find a non-DM channel and check that the user may manage it
+ * @param {Object} req - Express request
+ * @param {String} action - Channel permission, or null for any member
+ * @returns {Promise} Promise resolving to the channel
+ */
+const findManagedChannel = async (req, action) => {
+  const channel = await Channel.findById(req.params.id);
+  
+  // Check if channel exists
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+  
+  if (channel.type === 'dm') {
+    throw new AppError('Direct messages cannot be changed this way', 400);
+  }
+  
+  // Check if user is a member of the channel
+  if (!channel.members.includes(req.user._id) && req.user.role !== 'admin') {
+    throw new AppError('You are not a member of this channel', 403);
+  }
+  
+  if (action && !channel.hasPermission(req.user._id, action, req.user.role)) {
+    throw new AppError('Only channel owners and moderators can perform this action', 403);
+  }
+  
+  return channel;
+};
+
+/**
+ * Find a channel and check that the user may moderate a member
+ * Owners can act on anyone but themselves; moderators only on regular members.
+ * @param {Object} req - Express request
+ * @param {String} action - Channel permission
+ * @param {String} targetId - User being moderated
+ * @returns {Promise} Promise resolving to the channel
+ */
+const findModeratedChannel = async (req, action, targetId) => {
+  const channel = await Channel.findById(req.params.id);
+  
+  // Check if channel exists
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+  
+  if (channel.type === 'dm') {
+    throw new AppError('Direct messages cannot be moderated', 400);
+  }
+  
+  // Check if user may perform the action
+  if (!channel.hasPermission(req.user._id, action, req.user.role)) {
+    throw new AppError('You do not have permission to perform this action', 403);
+  }
+  
+  const targetRole = targetId ? channel.getMemberRole(targetId) : null;
+  if (!targetRole) {
+    throw new AppError('User is not a member of this channel', 400);
+  }
+  
+  if (targetId.toString() === req.user._id.toString()) {
+    throw new AppError('You cannot perform this action on yourself', 400);
+  }
+  
+  // Only global admins and the owner can act on moderators; nobody can act on the owner
+  const actorRole = req.user.role === 'admin' ? 'admin' : channel.getMemberRole(req.user._id);
+  if (targetRole === 'owner' || (targetRole === 'moderator' && !['owner', 'admin'].includes(actorRole))) {
+    throw new AppError(`You cannot perform this action on the channel ${targetRole}`, 403);
+  }
+  
+  return channel;
+};
+
+/**
+ * Find or create the DM channel for a set of users
+ * @param {Object} req - Express request
+ * @param {Array} memberIds - Participant IDs, including the current user
+ * @returns {Promise} Promise resolving to { channel, created }
+ */
+const findOrCreateDmChannel = async (req, memberIds) => {
+  const ids = [...new Set(memberIds.map(id => id.toString()))];
+  
+  if (ids.length < DM_MIN_MEMBERS || ids.length > DM_MAX_MEMBERS) {
+    throw new AppError(`Direct messages must have between ${DM_MIN_MEMBERS} and ${DM_MAX_MEMBERS} participants`, 400);
+  }
+  
+  // Check if users exist
+  const userCount = await User.countDocuments({ _id: { $in: ids } });
+  if (userCount !== ids.length) {
+    throw new AppError('User not found', 404);
+  }
+  
+  // Check if DM channel already exists
+  const existingChannel = await Channel.findDmChannel(ids);
+  if (existingChannel) {
+    return { channel: existingChannel, created: false };
+  }
+  
+  // Create new DM channel
+  const channel = await Channel.create({
+    name: Channel.getDmName(ids),
+    type: 'dm',
+    created_by: req.user._id,
+    members: ids
+  });
+  
+  // Subscribe participants' sockets to the new conversation
+  ids.forEach(id => joinChannelRoom(req, id, channel._id));
+  
+  return { channel, created: true };
+};
+
+/**
+ * Add a user's connected sockets to a channel room
+ * @param {Object} req - Express request
+ * @param {String} userId - User ID
+ * @param {String} channelId - Channel ID
+ */
+const joinChannelRoom = (req, userId, channelId) =>
+  channelService.joinChannelRoom(req.app.get('io'), userId, channelId);
 
 /**
  * Get all channels
@@ -11,10 +172,30 @@ const { AppError } = require('../middleware/errorHandler');
 exports.getAllChannels = async (req, res, next) => {
   try {
     // Get all public channels
-    const publicChannels = await Channel.find({ type: 'public' })
+    const publicChannels = await Channel.find({ type: 'public', is_archived: { $ne: true } })
+      .sort({ name: 1 })
+      .populate('created_by', 'display_name email');
+    
+    // Get private channels the user is a member of
+    const privateChannels = await Channel.find({
+      type: 'private',
+      members: req.user._id,
+      is_archived: { $ne: true }
+    })
       .sort({ name: 1 })
       .populate('created_by', 'display_name email');
     
+    // Get archived channels the user can see
+    const archivedChannels = await Channel.find({
+      is_archived: true,
+      $or: [
+        { type: 'public' },
+        { type: 'private', members: req.user._id }
+      ]
+    })
+      .sort({ archived_at: -1 })
+      .populate('created_by', 'display_name email');
+    
     // Get user's DM channels
     const dmChannels = await Channel.find({
       type: 'dm',
@@ -23,24 +204,16 @@ exports.getAllChannels = async (req, res, next) => {
       .sort({ created_at: -1 })
       .populate('members', 'display_name email is_online last_seen');
     
-    // Format DM channels to show the other user's name
-    const formattedDmChannels = dmChannels.map(channel => {
-      const otherUser = channel.members.find(
-        member => member._id.toString() !== req.user._id.toString()
-      );
-      
-      return {
-        ...channel.toObject(),
-        display_name: otherUser ? otherUser.display_name : 'Deleted User',
-        other_user: otherUser || null
-      };
-    });
+    // Format DM channels to show the other participants' names
+    const formattedDmChannels = dmChannels.map(channel => formatDmChannel(channel, req.user._id));
     
     res.status(200).json({
       status: 'success',
       data: {
         public: publicChannels,
-        direct: formattedDmChannels
+        private: privateChannels,
+        direct: formattedDmChannels,
+        archived: archivedChannels
       }
     });
   } catch (error) {
@@ -67,25 +240,19 @@ exports.getChannel = async (req, res, next) => {
       return next(new AppError('Channel not found', 404));
     }
     
-    // Check if user is a member of the channel
+    // Check if user is a member of the channel; non-public channels are hidden from non-members
     if (!channel.members.some(member => member._id.toString() === req.user._id.toString())) {
+      if (channel.type !== 'public') {
+        return next(new AppError('Channel not found', 404));
+      }
       return next(new AppError('You are not a member of this channel', 403));
     }
     
-    // Format DM channels to show the other user's name
-    if (channel.type === 'dm') {
-      const otherUser = channel.members.find(
-        member => member._id.toString() !== req.user._id.toString()
-      );
-      
-      channel.display_name = otherUser ? otherUser.display_name : 'Deleted User';
-      channel.other_user = otherUser || null;
-    }
-    
     res.status(200).json({
       status: 'success',
       data: {
-        channel
+        // Format DM channels to show the other participants' names
+        channel: channel.type === 'dm' ? formatDmChannel(channel, req.user._id) : channel
       }
     });
   } catch (error) {
@@ -107,6 +274,11 @@ exports.createChannel = async (req, res, next) => {
       return next(new AppError('Channel name is required', 400));
     }
     
+    // Check if channel type is valid
+    if (!['public', 'private'].includes(type)) {
+      return next(new AppError('Channel type must be public or private', 400));
+    }
+    
     // Check if channel name is valid
     const nameRegex = /^[a-z0-9-_]+$/;
     if (!nameRegex.test(name)) {
@@ -119,9 +291,10 @@ exports.createChannel = async (req, res, next) => {
       return next(new AppError('Channel name already exists', 400));
     }
     
-    // Check if channel limit is reached (max 10 public channels)
+    // Check if channel limit is reached
     if (type === 'public' && await Channel.isChannelLimitReached()) {
-      return next(new AppError('Channel limit reached (max 10 public channels)', 400));
+      const settings = await WorkspaceSettings.getSettings();
+      return next(new AppError(`Channel limit reached (max ${settings.max_public_channels} public channels)`, 400));
     }
     
     // Create new channel
@@ -163,6 +336,16 @@ exports.joinChannel = async (req, res, next) => {
       return next(new AppError('Channel not found', 404));
     }
     
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
+    // Private channels require an invitation or an approved access request
+    if (channel.type === 'private') {
+      return next(new AppError('This channel is private. Request access to join it.', 403));
+    }
+    
     // Check if channel is public
     if (channel.type !== 'public') {
       return next(new AppError('Cannot join a non-public channel', 400));
@@ -177,6 +360,13 @@ exports.joinChannel = async (req, res, next) => {
     channel.members.push(req.user._id);
     await channel.save();
     
+    // Notify subscribed integrations
+    eventService.publishEvent('channel:member_joined', channel._id, {
+      channel_id: channel._id,
+      user_id: req.user._id,
+      via: 'join'
+    });
+    
     // Populate channel details
     await channel.populate('created_by', 'display_name email');
     await channel.populate('members', 'display_name email');
@@ -209,51 +399,13 @@ exports.leaveChannel = async (req, res, next) => {
       return next(new AppError('Channel not found', 404));
     }
     
-    // Check if channel is public
-    if (channel.type !== 'public') {
-      return next(new AppError('Cannot leave a non-public channel', 400));
-    }
+    const { deleted } = await channelService.leaveChannel(channel, req.user);
     
-    // Check if user is a member
-    if (!channel.members.includes(req.user._id)) {
-      return next(new AppError('You are not a member of this channel', 400));
-    }
-    
-    // Check if user is the creator and there are other members
-    if (channel.created_by.toString() === req.user._id.toString() && channel.members.length > 1) {
-      // Find oldest member to make new creator
-      const oldestMember = await User.findOne({
-        _id: { $in: channel.members, $ne: req.user._id }
-      }).sort({ created_at: 1 });
-      
-      if (oldestMember) {
-        channel.created_by = oldestMember._id;
-      }
-    }
-    
-    // Remove user from channel members
-    channel.members = channel.members.filter(
-      memberId => memberId.toString() !== req.user._id.toString()
-    );
-    
-    // If no members left, delete the channel
-    if (channel.members.length === 0) {
-      await Channel.findByIdAndDelete(id);
-      
-      res.status(200).json({
-        status: 'success',
-        message: 'Channel deleted as no members remain',
-        data: null
-      });
-    } else {
-      await channel.save();
-      
-      res.status(200).json({
-        status: 'success',
-        message: 'Successfully left channel',
-        data: null
-      });
-    }
+    res.status(200).json({
+      status: 'success',
+      message: deleted ? 'Channel deleted as no members remain' : 'Successfully left channel',
+      data: null
+    });
   } catch (error) {
     next(error);
   }
@@ -286,6 +438,7 @@ exports.deleteChannel = async (req, res, next) => {
     
     // Delete all messages in the channel
     await Message.deleteMany({ channel_id: id });
+    await MessageRevision.deleteMany({ channel_id: id });
     
     res.status(200).json({
       status: 'success',
@@ -333,62 +486,579 @@ exports.getChannelMembers = async (req, res, next) => {
 
 /**
  * Create or get DM channel
+ * Accepts user_id for a 1:1 conversation or user_ids for a group of up to 9 people.
  * @route POST /api/channels/dm
  * @access Private
  */
 exports.createDmChannel = async (req, res, next) => {
   try {
+    const { user_id, user_ids } = req.body;
+    
+    const otherIds = Array.isArray(user_ids) ? user_ids : [user_id];
+    if (otherIds.length === 0 || otherIds.some(id => !id)) {
+      return next(new AppError('Please provide the users to message', 400));
+    }
+    
+    const { channel, created } = await findOrCreateDmChannel(req, [req.user._id, ...otherIds]);
+    
+    // Populate members
+    await channel.populate('members', 'display_name email is_online last_seen');
+    
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: {
+        channel: formatDmChannel(channel, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add people to a DM, which starts a new conversation with the combined member set
+ * @route POST /api/channels/:id/dm-members
+ * @access Private
+ */
+exports.addDmMembers = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { user_ids } = req.body;
+    
+    if (!Array.isArray(user_ids) || user_ids.length === 0) {
+      return next(new AppError('Please provide the users to add', 400));
+    }
+    
+    // Find channel
+    const channel = await Channel.findById(id);
+    
+    // Check if channel exists
+    if (!channel) {
+      return next(new AppError('Channel not found', 404));
+    }
+    
+    // Check if channel is a DM
+    if (channel.type !== 'dm') {
+      return next(new AppError('People can only be added to direct messages this way', 400));
+    }
+    
+    // Check if user is a member of the channel
+    if (!channel.members.includes(req.user._id)) {
+      return next(new AppError('You are not a member of this channel', 403));
+    }
+    
+    // The original conversation stays as it is
+    const { channel: groupChannel, created } = await findOrCreateDmChannel(req, [...channel.members, ...user_ids]);
+    
+    // Populate members
+    await groupChannel.populate('members', 'display_name email is_online last_seen');
+    
+    res.status(created ? 201 : 200).json({
+      status: 'success',
+      data: {
+        channel: formatDmChannel(groupChannel, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a user to a channel
+ * @route POST /api/channels/:id/invite
+ * @access Private
+ */
+exports.inviteToChannel = async (req, res, next) => {
+  try {
+    const { id } = req.params;
     const { user_id } = req.body;
     
-    // Check if user exists
-    const otherUser = await User.findById(user_id);
-    if (!otherUser) {
+    // Find channel
+    const channel = await Channel.findById(id);
+    
+    // Check if channel exists
+    if (!channel) {
+      return next(new AppError('Channel not found', 404));
+    }
+    
+    // Check if invited user exists
+    const invitedUser = await User.findById(user_id);
+    if (!invitedUser) {
       return next(new AppError('User not found', 404));
     }
     
-    // Check if DM channel already exists
-    const existingChannel = await Channel.findDmChannel(req.user._id, user_id);
+    await channelService.inviteUser(req.app.get('io'), channel, req.user, invitedUser);
     
-    if (existingChannel) {
-      // Populate members
-      await existingChannel.populate('members', 'display_name email is_online last_seen');
-      
-      // Format channel to show the other user's name
-      const otherUserDetails = existingChannel.members.find(
-        member => member._id.toString() !== req.user._id.toString()
-      );
-      
-      existingChannel.display_name = otherUserDetails ? otherUserDetails.display_name : 'Deleted User';
-      existingChannel.other_user = otherUserDetails || null;
-      
-      return res.status(200).json({
-        status: 'success',
-        data: {
-          channel: existingChannel
-        }
-      });
-    }
+    await channel.populate('members', 'display_name email');
     
-    // Create new DM channel
-    const channel = await Channel.create({
-      name: `dm-${req.user._id}-${user_id}`,
-      type: 'dm',
-      created_by: req.user._id,
-      members: [req.user._id, user_id]
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel
+      }
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request access to a private channel
+ * @route POST /api/channels/:id/requests
+ * @access Private
+ */
+exports.requestAccess = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
     
-    // Populate members
-    await channel.populate('members', 'display_name email is_online last_seen');
+    // Find channel
+    const channel = await Channel.findById(id);
     
-    // Format channel to show the other user's name
-    const otherUserDetails = channel.members.find(
-      member => member._id.toString() !== req.user._id.toString()
+    // Check if channel exists
+    if (!channel) {
+      return next(new AppError('Channel not found', 404));
+    }
+    
+    // Check if channel is private
+    if (channel.type !== 'private') {
+      return next(new AppError('Access requests are only needed for private channels', 400));
+    }
+    
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
+    // Check if user is already a member
+    if (channel.members.includes(req.user._id)) {
+      return next(new AppError('You are already a member of this channel', 400));
+    }
+    
+    // Check for an existing pending request
+    const pendingRequest = channel.access_requests.find(
+      request => request.status === 'pending' && request.user_id.toString() === req.user._id.toString()
     );
+    if (pendingRequest) {
+      return next(new AppError('You already have a pending request for this channel', 400));
+    }
     
-    channel.display_name = otherUserDetails ? otherUserDetails.display_name : 'Deleted User';
-    channel.other_user = otherUserDetails || null;
+    channel.access_requests.push({
+      user_id: req.user._id,
+      message
+    });
+    await channel.save();
+    
+    const accessRequest = channel.access_requests[channel.access_requests.length - 1];
+    
+    // Notify channel owner
+    await sendNotification(req.app.get('io'), {
+      recipient_id: channel.created_by,
+      sender_id: req.user._id,
+      type: 'access_request',
+      channel_id: channel._id,
+      content: `${req.user.display_name} requested access to #${channel.name}`
+    });
     
     res.status(201).json({
+      status: 'success',
+      data: {
+        request: accessRequest
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get pending access requests for a channel (owner only)
+ * @route GET /api/channels/:id/requests
+ * @access Private
+ */
+exports.getAccessRequests = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    // Find channel
+    const channel = await Channel.findById(id)
+      .populate('access_requests.user_id', 'display_name email');
+    
+    // Check if channel exists
+    if (!channel) {
+      return next(new AppError('Channel not found', 404));
+    }
+    
+    // Check if user is the channel owner
+    if (channel.created_by.toString() !== req.user._id.toString()) {
+      return next(new AppError('Only the channel owner can view access requests', 403));
+    }
+    
+    const requests = channel.access_requests.filter(request => request.status === 'pending');
+    
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: {
+        requests
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or deny an access request
+ * @param {Object} req - Express request
+ * @param {String} status - approved or denied
+ * @returns {Promise} Promise resolving to { channel, request }
+ */
+const reviewAccessRequest = async (req, status) => {
+  const { id, requestId } = req.params;
+  
+  // Find channel
+  const channel = await Channel.findById(id);
+  
+  // Check if channel exists
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+  
+  // Check if user is the channel owner
+  if (channel.created_by.toString() !== req.user._id.toString()) {
+    throw new AppError('Only the channel owner can review access requests', 403);
+  }
+  
+  // Find request
+  const request = channel.access_requests.id(requestId);
+  if (!request) {
+    throw new AppError('Access request not found', 404);
+  }
+  
+  if (request.status !== 'pending') {
+    throw new AppError(`Access request has already been ${request.status}`, 400);
+  }
+  
+  // Archived channels are read-only, so no one can be let in
+  if (status === 'approved' && channel.is_archived) {
+    throw new AppError('This channel is archived', 400);
+  }
+  
+  request.status = status;
+  request.reviewed_by = req.user._id;
+  request.reviewed_at = Date.now();
+  
+  if (status === 'approved' && !channel.members.includes(request.user_id)) {
+    channel.members.push(request.user_id);
+  }
+  
+  await channel.save();
+  
+  return { channel, request };
+};
+
+/**
+ * Approve an access request (owner only)
+ * @route POST /api/channels/:id/requests/:requestId/approve
+ * @access Private
+ */
+exports.approveAccessRequest = async (req, res, next) => {
+  try {
+    const { channel, request } = await reviewAccessRequest(req, 'approved');
+    
+    joinChannelRoom(req, request.user_id, channel._id);
+    
+    // Notify subscribed integrations
+    eventService.publishEvent('channel:member_joined', channel._id, {
+      channel_id: channel._id,
+      user_id: request.user_id,
+      via: 'access_request',
+      approved_by: req.user._id
+    });
+    
+    // Notify requester
+    await sendNotification(req.app.get('io'), {
+      recipient_id: request.user_id,
+      sender_id: req.user._id,
+      type: 'channel_invite',
+      channel_id: channel._id,
+      content: `${req.user.display_name} approved your request to join #${channel.name}`
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        request
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deny an access request (owner only)
+ * @route POST /api/channels/:id/requests/:requestId/deny
+ * @access Private
+ */
+exports.denyAccessRequest = async (req, res, next) => {
+  try {
+    const { request } = await reviewAccessRequest(req, 'denied');
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        request
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a channel (owner or moderator)
+ * @route POST /api/channels/:id/kick
+ * @access Private
+ */
+exports.kickMember = async (req, res, next) => {
+  try {
+    const { user_id } = req.body;
+    
+    const channel = await findModeratedChannel(req, 'kick_member', user_id);
+    
+    // Remove user from channel members and moderators
+    channel.members = channel.members.filter(memberId => memberId.toString() !== user_id.toString());
+    channel.moderators = channel.moderators.filter(moderatorId => moderatorId.toString() !== user_id.toString());
+    await channel.save();
+    
+    // Remove user's sockets from the channel room and notify the channel
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user:${user_id}`).socketsLeave(`channel:${channel._id}`);
+      io.to(`channel:${channel._id}`).to(`user:${user_id}`).emit('channel:member_removed', {
+        channel_id: channel._id,
+        user_id,
+        removed_by: req.user._id
+      });
+    }
+    
+    // Notify subscribed integrations
+    eventService.publishEvent('channel:member_left', channel._id, {
+      channel_id: channel._id,
+      user_id,
+      via: 'kick',
+      removed_by: req.user._id
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Member removed from channel',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mute a member so they cannot post (owner or moderator)
+ * @route POST /api/channels/:id/mute
+ * @access Private
+ */
+exports.muteMember = async (req, res, next) => {
+  try {
+    const { user_id, duration_minutes } = req.body;
+    
+    if (duration_minutes !== undefined && !(Number.isInteger(duration_minutes) && duration_minutes > 0)) {
+      return next(new AppError('Duration must be a positive number of minutes', 400));
+    }
+    
+    const channel = await findModeratedChannel(req, 'mute_member', user_id);
+    
+    // Replace any existing mute for the user
+    const until = duration_minutes ? new Date(Date.now() + duration_minutes * 60 * 1000) : null;
+    channel.muted_members = channel.muted_members.filter(mute => mute.user_id.toString() !== user_id.toString());
+    channel.muted_members.push({ user_id, until, muted_by: req.user._id });
+    await channel.save();
+    
+    // Emit to socket.io if available
+    if (req.app.get('io')) {
+      const io = req.app.get('io');
+      io.to(`channel:${channel._id}`).emit('channel:member_muted', {
+        channel_id: channel._id,
+        user_id,
+        until,
+        muted_by: req.user._id
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user_id,
+        until
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unmute a member (owner or moderator)
+ * @route POST /api/channels/:id/unmute
+ * @access Private
+ */
+exports.unmuteMember = async (req, res, next) => {
+  try {
+    const { user_id } = req.body;
+    
+    const channel = await findModeratedChannel(req, 'mute_member', user_id);
+    
+    // Check if user is muted
+    if (!channel.isMuted(user_id)) {
+      return next(new AppError('User is not muted', 400));
+    }
+    
+    channel.muted_members = channel.muted_members.filter(mute => mute.user_id.toString() !== user_id.toString());
+    await channel.save();
+    
+    // Emit to socket.io if available
+    if (req.app.get('io')) {
+      const io = req.app.get('io');
+      io.to(`channel:${channel._id}`).emit('channel:member_unmuted', {
+        channel_id: channel._id,
+        user_id,
+        unmuted_by: req.user._id
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a member's channel role (owner only)
+ * @route PATCH /api/channels/:id/roles
+ * @access Private
+ */
+exports.setMemberRole = async (req, res, next) => {
+  try {
+    const { user_id, role } = req.body;
+    
+    if (!['moderator', 'member'].includes(role)) {
+      return next(new AppError('Role must be moderator or member', 400));
+    }
+    
+    const channel = await findModeratedChannel(req, 'manage_roles', user_id);
+    
+    channel.moderators = channel.moderators.filter(moderatorId => moderatorId.toString() !== user_id.toString());
+    if (role === 'moderator') {
+      channel.moderators.push(user_id);
+    }
+    await channel.save();
+    
+    // Emit to socket.io if available
+    if (req.app.get('io')) {
+      const io = req.app.get('io');
+      io.to(`channel:${channel._id}`).emit('channel:role_updated', {
+        channel_id: channel._id,
+        user_id,
+        role,
+        updated_by: req.user._id
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user_id,
+        role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update channel topic and description
+ * @route PATCH /api/channels/:id
+ * @access Private
+ */
+exports.updateChannel = async (req, res, next) => {
+  try {
+    const { topic, description } = req.body;
+    
+    if (topic === undefined && description === undefined) {
+      return next(new AppError('Please provide a topic or description', 400));
+    }
+
+    const channel = await findManagedChannel(req, null);
+    await channelService.updateChannelDetails(req.app.get('io'), channel, req.user, { topic, description });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a channel, keeping the previous names (owner or moderator)
+ * @route POST /api/channels/:id/rename
+ * @access Private
+ */
+exports.renameChannel = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    
+    // Validate channel name
+    if (!name || name.trim() === '') {
+      return next(new AppError('Channel name is required', 400));
+    }
+    
+    const nameRegex = /^[a-z0-9-_]+$/;
+    if (!nameRegex.test(name)) {
+      return next(new AppError('Channel name can only contain lowercase letters, numbers, hyphens and underscores', 400));
+    }
+    
+    const channel = await findManagedChannel(req, 'manage_channel');
+    
+    if (channel.name === 'general') {
+      return next(new AppError('Cannot rename the general channel', 400));
+    }
+    
+    if (channel.name === name) {
+      return next(new AppError('Channel already has this name', 400));
+    }
+    
+    // Check if channel name is already taken
+    const existingChannel = await Channel.findOne({ name: name.toLowerCase() });
+    if (existingChannel) {
+      return next(new AppError('Channel name already exists', 400));
+    }
+    
+    const previousName = channel.name;
+    channel.name_history.push({ name: previousName, changed_by: req.user._id });
+    channel.name = name.toLowerCase();
+    await channel.save();
+    
+    await announceChannelUpdate(req, channel, `${req.user.display_name} renamed the channel from #${previousName} to #${channel.name}`);
+    
+    res.status(200).json({
       status: 'success',
       data: {
         channel
@@ -397,4 +1067,146 @@ exports.createDmChannel = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Archive a channel, making it read-only (owner or moderator)
+ * @route POST /api/channels/:id/archive
+ * @access Private
+ */
+exports.archiveChannel = async (req, res, next) => {
+  try {
+    const channel = await findManagedChannel(req, 'manage_channel');
+    
+    if (channel.name === 'general') {
+      return next(new AppError('Cannot archive the general channel', 400));
+    }
+    
+    if (channel.is_archived) {
+      return next(new AppError('Channel is already archived', 400));
+    }
+    
+    channel.is_archived = true;
+    channel.archived_at = Date.now();
+    channel.archived_by = req.user._id;
+    await channel.save();
+    
+    await announceChannelUpdate(req, channel, `${req.user.display_name} archived the channel`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unarchive a channel (owner or moderator)
+ * @route POST /api/channels/:id/unarchive
+ * @access Private
+ */
+exports.unarchiveChannel = async (req, res, next) => {
+  try {
+    const channel = await findManagedChannel(req, 'manage_channel');
+    
+    if (!channel.is_archived) {
+      return next(new AppError('Channel is not archived', 400));
+    }
+    
+    channel.is_archived = false;
+    channel.archived_at = null;
+    channel.archived_by = null;
+    await channel.save();
+    
+    await announceChannelUpdate(req, channel, `${req.user.display_name} unarchived the channel`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a channel's message retention policy
+ * @route GET /api/channels/:id/retention
+ * @access Private
+ */
+exports.getRetention = async (req, res, next) => {
+  try {
+    const channel = await findManagedChannel(req);
+    const settings = await WorkspaceSettings.getSettings();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        retention: {
+          policy: channel.retention_policy,
+          retention_days: channel.retention_days,
+          effective_days: channel.getRetentionDays(settings.message_retention_days),
+          retain_pinned: channel.retain_pinned,
+          legal_hold: channel.legal_hold
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a channel's message retention policy (owner only)
+ * @route PATCH /api/channels/:id/retention
+ * @access Private
+ */
+exports.updateRetention = async (req, res, next) => {
+  try {
+    const { policy, retention_days, retain_pinned } = req.body;
+    
+    const channel = await findManagedChannel(req);
+    if (!channel.hasPermission(req.user._id, 'manage_retention', req.user.role)) {
+      return next(new AppError('Only the channel owner can change message retention', 403));
+    }
+    
+    if (policy !== undefined) {
+      if (!['default', 'forever', 'days'].includes(policy)) {
+        return next(new AppError('Policy must be default, forever or days', 400));
+      }
+      channel.retention_policy = policy;
+      channel.retention_days = policy === 'days' ? channel.retention_days : null;
+    }
+    
+    if (retention_days !== undefined) {
+      if (channel.retention_policy !== 'days') {
+        return next(new AppError('Retention days can only be set with the days policy', 400));
+      }
+      if (!Number.isInteger(retention_days)) {
+        return next(new AppError('Retention days must be a whole number', 400));
+      }
+      channel.retention_days = retention_days;
+    }
+    
+    if (retain_pinned !== undefined) {
+      channel.retain_pinned = Boolean(retain_pinned);
+    }
+    
+    await channel.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        channel
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,134 @@
+const SlashCommand = require('../models/SlashCommand');
+const { AppError } = require('../middleware/errorHandler');
+const commandService = require('../services/commandService');
+
+// Fields admins can set on a custom command
+const COMMAND_FIELDS = ['description', 'usage_hint', 'url', 'is_enabled'];
+
+/**
+ * Get the slash commands available to users
+ * @route GET /api/commands
+ * @access Private
+ */
+exports.getCommands = async (req, res, next) => {
+  try {
+    const commands = await commandService.listCommands();
+
+    res.status(200).json({
+      status: 'success',
+      results: commands.length,
+      data: {
+        commands
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get custom slash commands with their webhook settings
+ * @route GET /api/commands/custom
+ * @access Private (Admin)
+ */
+exports.getCustomCommands = async (req, res, next) => {
+  try {
+    const commands = await SlashCommand.find()
+      .sort({ name: 1 })
+      .populate('created_by', 'display_name email');
+
+    res.status(200).json({
+      status: 'success',
+      results: commands.length,
+      data: {
+        commands
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a custom slash command that forwards to an outgoing webhook
+ * @route POST /api/commands/custom
+ * @access Private (Admin)
+ */
+exports.createCustomCommand = async (req, res, next) => {
+  try {
+    const name = (req.body.name || '').replace(/^\//, '').toLowerCase();
+
+    if (commandService.isBuiltinCommand(name)) {
+      return next(new AppError(`/${name} is a built-in command`, 400));
+    }
+
+    if (await SlashCommand.exists({ name })) {
+      return next(new AppError(`/${name} already exists`, 400));
+    }
+
+    const data = { name, created_by: req.user._id };
+    COMMAND_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const command = await SlashCommand.create(data);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        command
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a custom slash command
+ * @route PATCH /api/commands/custom/:id
+ * @access Private (Admin)
+ */
+exports.updateCustomCommand = async (req, res, next) => {
+  try {
+    const command = await SlashCommand.findById(req.params.id);
+    if (!command) {
+      return next(new AppError('Command not found', 404));
+    }
+
+    COMMAND_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) command[field] = req.body[field];
+    });
+    await command.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        command
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom slash command
+ * @route DELETE /api/commands/custom/:id
+ * @access Private (Admin)
+ */
+exports.deleteCustomCommand = async (req, res, next) => {
+  try {
+    const command = await SlashCommand.findByIdAndDelete(req.params.id);
+    if (!command) {
+      return next(new AppError('Command not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
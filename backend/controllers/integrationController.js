@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const EventSubscription = require('../models/EventSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { AppError } = require('../middleware/errorHandler');
+const eventService = require('../services/eventService');
+
+// Fields admins can set on a subscription
+const SUBSCRIPTION_FIELDS = ['name', 'url', 'events', 'channel_ids', 'is_active'];
+
+/**
+ * Find a subscription by the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to the subscription
+ */
+const findSubscription = async (req) => {
+  const subscription = await EventSubscription.findById(req.params.id);
+  if (!subscription) {
+    throw new AppError('Integration not found', 404);
+  }
+  return subscription;
+};
+
+/**
+ * Get integrations and the events they subscribe to
+ * @route GET /api/integrations
+ * @access Private (Admin)
+ */
+exports.getIntegrations = async (req, res, next) => {
+  try {
+    const subscriptions = await EventSubscription.find()
+      .sort({ created_at: -1 })
+      .populate('channel_ids', 'name type')
+      .populate('created_by', 'display_name email');
+
+    res.status(200).json({
+      status: 'success',
+      results: subscriptions.length,
+      data: {
+        integrations: subscriptions,
+        available_events: EventSubscription.schema.path('events').caster.enumValues
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register an integration URL for workspace events
+ * The signing secret is only returned in this response.
+ * @route POST /api/integrations
+ * @access Private (Admin)
+ */
+exports.createIntegration = async (req, res, next) => {
+  try {
+    const data = { created_by: req.user._id };
+    SUBSCRIPTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const subscription = await EventSubscription.create(data);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        integration: subscription,
+        secret: subscription.secret
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an integration
+ * @route PATCH /api/integrations/:id
+ * @access Private (Admin)
+ */
+exports.updateIntegration = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    SUBSCRIPTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field];
+    });
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        integration: subscription
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an integration and its delivery history
+ * @route DELETE /api/integrations/:id
+ * @access Private (Admin)
+ */
+exports.deleteIntegration = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    await WebhookDelivery.deleteMany({ subscription_id: subscription._id });
+    await subscription.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace an integration's signing secret
+ * @route POST /api/integrations/:id/rotate-secret
+ * @access Private (Admin)
+ */
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    subscription.secret = crypto.randomBytes(32).toString('hex');
+    await subscription.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        secret: subscription.secret
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a ping event to check that the receiver is reachable
+ * @route POST /api/integrations/:id/ping
+ * @access Private (Admin)
+ */
+exports.pingIntegration = async (req, res, next) => {
+  try {
+    const subscription = await findSubscription(req);
+
+    const ping = await WebhookDelivery.create({
+      subscription_id: subscription._id,
+      event: 'ping',
+      payload: {
+        event: 'ping',
+        data: { integration_id: subscription._id },
+        created_at: new Date()
+      }
+    });
+
+    // Only the ping is sent here; other queued deliveries are left to the dispatcher
+    const delivery = await eventService.deliverNow(ping);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an integration's delivery history
+ * @route GET /api/integrations/:id/deliveries
+ * @access Private (Admin)
+ */
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const { status, event, limit = 50, before } = req.query;
+
+    const subscription = await findSubscription(req);
+
+    // Build query
+    const query = { subscription_id: subscription._id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return next(new AppError('Invalid before date', 400));
+      }
+      query.created_at = { $lt: beforeDate };
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.status(200).json({
+      status: 'success',
+      results: deliveries.length,
+      data: {
+        deliveries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get deliveries that ran out of retries across all integrations
+ * @route GET /api/integrations/dead-letters
+ * @access Private (Admin)
+ */
+exports.getDeadLetters = async (req, res, next) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const deliveries = await WebhookDelivery.find({ status: 'dead' })
+      .sort({ updated_at: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .populate('subscription_id', 'name url');
+
+    res.status(200).json({
+      status: 'success',
+      results: deliveries.length,
+      data: {
+        deliveries
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a dead delivery to be sent again
+ * @route POST /api/integrations/:id/deliveries/:deliveryId/redeliver
+ * @access Private (Admin)
+ */
+exports.redeliver = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      subscription_id: req.params.id
+    });
+
+    if (!delivery) {
+      return next(new AppError('Delivery not found', 404));
+    }
+
+    if (delivery.status !== 'dead') {
+      return next(new AppError('Only dead deliveries can be redelivered', 400));
+    }
+
+    await eventService.redeliver(delivery);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        delivery
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
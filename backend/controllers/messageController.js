@@ -1,7 +1,13 @@
 const Message = require('../models/Message');
+const MessageRevision = require('../models/MessageRevision');
 const Channel = require('../models/Channel');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
 const { AppError } = require('../middleware/errorHandler');
 const { uploadToCloudinary } = require('../services/fileService');
+const embeddingService = require('../services/embeddingService');
+const messageService = require('../services/messageService');
+const commandService = require('../services/commandService');
+const eventService = require('../services/eventService');
 
 /**
  * Get messages for a channel
@@ -135,21 +141,35 @@ exports.createMessage = async (req, res, next) => {
       return next(new AppError('Message must have content or a file attachment', 400));
     }
     
-    if (content && content.length > 2000) {
-      return next(new AppError('Message cannot exceed 2000 characters', 400));
+    const settings = await WorkspaceSettings.getSettings();
+    if (content && content.length > settings.max_message_length) {
+      return next(new AppError(`Message cannot exceed ${settings.max_message_length} characters`, 400));
     }
     
-    // Check if channel exists and user is a member
+    // Check if channel exists
     const channel = await Channel.findById(channel_id);
-    if (!channel) {
-      return next(new AppError('Channel not found', 404));
-    }
     
-    // Check if user is a member of the channel
-    if (!channel.members.includes(req.user._id)) {
-      return next(new AppError('You are not a member of this channel', 403));
+    // Slash commands are run instead of being posted
+    if (!req.file && commandService.parseCommand(content)) {
+      const result = await commandService.executeCommand(req.app.get('io'), {
+        user: req.user,
+        channel,
+        content,
+        thread_parent_id,
+        scopes: req.apiToken ? req.apiToken.scopes : null
+      });
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          command: result
+        }
+      });
     }
     
+    // Check if user may post in the channel
+    messageService.assertCanPost(channel, req.user._id);
+    
     // Check if it's a DM channel for file uploads
     if (req.file && channel.type !== 'dm') {
       return next(new AppError('File uploads are only allowed in direct messages', 400));
@@ -157,15 +177,7 @@ exports.createMessage = async (req, res, next) => {
     
     // If it's a thread reply, check if parent message exists
     if (thread_parent_id) {
-      const parentMessage = await Message.findById(thread_parent_id);
-      if (!parentMessage) {
-        return next(new AppError('Parent message not found', 404));
-      }
-      
-      // Check thread depth (max 3 levels)
-      if (parentMessage.thread_parent_id && parentMessage.thread_parent_id.thread_parent_id) {
-        return next(new AppError('Thread depth limit reached (max 3 levels)', 400));
-      }
+      await messageService.assertThreadParent(thread_parent_id, channel._id);
     }
     
     // Create message object
@@ -189,21 +201,8 @@ exports.createMessage = async (req, res, next) => {
       };
     }
     
-    // Create new message
-    const message = await Message.create(messageData);
-    
-    // Populate author details
-    await message.populate('author_id', 'display_name email');
-    
-    // Emit to socket.io if available
-    if (req.app.get('io')) {
-      const io = req.app.get('io');
-      io.to(`channel:${channel_id}`).emit('message:new', message);
-      
-      if (thread_parent_id) {
-        io.to(`thread:${thread_parent_id}`).emit('thread:new_reply', message);
-      }
-    }
+    // Create, broadcast and index the message
+    const message = await messageService.publishMessage(req.app.get('io'), messageData);
     
     res.status(201).json({
       status: 'success',
@@ -231,8 +230,9 @@ exports.editMessage = async (req, res, next) => {
       return next(new AppError('Message content is required', 400));
     }
     
-    if (content.length > 2000) {
-      return next(new AppError('Message cannot exceed 2000 characters', 400));
+    const settings = await WorkspaceSettings.getSettings();
+    if (content.length > settings.max_message_length) {
+      return next(new AppError(`Message cannot exceed ${settings.max_message_length} characters`, 400));
     }
     
     // Find message
@@ -248,11 +248,20 @@ exports.editMessage = async (req, res, next) => {
       return next(new AppError('Not authorized to edit this message', 403));
     }
     
-    // Check if message can be edited (within 5 minutes)
-    if (!message.canBeEdited()) {
-      return next(new AppError('Message can only be edited within 5 minutes of sending', 400));
+    // Check if message can be edited (within the edit window)
+    if (!message.canBeEdited(settings.message_edit_window_minutes)) {
+      return next(new AppError(`Message can only be edited within ${settings.message_edit_window_minutes} minutes of sending`, 400));
     }
     
+    // Archived channels are read-only
+    const channel = await Channel.findById(message.channel_id);
+    if (channel && channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
+    // Keep the previous content in the edit history
+    await MessageRevision.recordRevision(message, 'edit', req.user._id);
+    
     // Update message
     message.content = content;
     message.is_edited = true;
@@ -268,6 +277,12 @@ exports.editMessage = async (req, res, next) => {
       io.to(`channel:${message.channel_id}`).emit('message:edited', message);
     }
     
+    // Notify subscribed integrations
+    eventService.publishEvent('message:edited', message.channel_id, message);
+    
+    // Re-index edited message for semantic search
+    embeddingService.indexMessage(message);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -291,27 +306,47 @@ exports.deleteMessage = async (req, res, next) => {
     // Find message
     const message = await Message.findById(id);
     
-    // Check if message exists
-    if (!message) {
+    // Check if message exists and has not already been deleted
+    if (!message || message.is_deleted) {
       return next(new AppError('Message not found', 404));
     }
     
-    // Check if user is author
+    const channel = await Channel.findById(message.channel_id);
+    
+    // Check if user is author or may moderate the channel
     if (message.author_id.toString() !== req.user._id.toString()) {
-      return next(new AppError('Not authorized to delete this message', 403));
+      if (!channel || !channel.hasPermission(req.user._id, 'delete_any_message', req.user.role)) {
+        return next(new AppError('Not authorized to delete this message', 403));
+      }
     }
     
+    // Archived channels are read-only
+    if (channel && channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
+    // Keep the original for admins until retention removes it
+    await MessageRevision.recordRevision(message, 'delete', req.user._id);
+    
     // Soft delete message
     message.is_deleted = true;
     message.content = '[This message has been deleted]';
     await message.save();
     
+    const eventData = { message_id: id };
+    
     // Emit to socket.io if available
     if (req.app.get('io')) {
       const io = req.app.get('io');
-      io.to(`channel:${message.channel_id}`).emit('message:deleted', { message_id: id });
+      io.to(`channel:${message.channel_id}`).emit('message:deleted', eventData);
     }
     
+    // Notify subscribed integrations
+    eventService.publishEvent('message:deleted', message.channel_id, eventData);
+    
+    // Remove message from semantic search
+    embeddingService.removeMessage(message._id);
+    
     res.status(200).json({
       status: 'success',
       data: null
@@ -321,6 +356,54 @@ exports.deleteMessage = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the edit history of a message (author or admin)
+ * Deleted originals are only shown to admins.
+ * @route GET /api/messages/:id/history
+ * @access Private
+ */
+exports.getMessageHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const isAdmin = req.user.role === 'admin';
+    
+    // Find message
+    const message = await Message.findById(id);
+    
+    // Check if message exists
+    if (!message) {
+      return next(new AppError('Message not found', 404));
+    }
+    
+    // Check if user is author or admin
+    if (message.author_id.toString() !== req.user._id.toString() && !isAdmin) {
+      return next(new AppError('Not authorized to view this message history', 403));
+    }
+    
+    if (message.is_deleted && !isAdmin) {
+      return next(new AppError('Only admins can view the history of deleted messages', 403));
+    }
+    
+    await message.populate('author_id', 'display_name email');
+    
+    // Get revisions oldest first
+    const revisions = await MessageRevision.find({ message_id: id })
+      .sort({ created_at: 1 })
+      .populate('performed_by', 'display_name email');
+    
+    res.status(200).json({
+      status: 'success',
+      results: revisions.length,
+      data: {
+        message,
+        revisions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Add a reaction to a message
  * @route POST /api/messages/:id/reactions
@@ -360,6 +443,11 @@ exports.addReaction = async (req, res, next) => {
       return next(new AppError('You are not a member of this channel', 403));
     }
     
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
     // Add reaction
     await message.addReaction(emoji, req.user._id);
     
@@ -367,19 +455,24 @@ exports.addReaction = async (req, res, next) => {
     await message.populate('author_id', 'display_name email');
     await message.populate('reactions.user_id', 'display_name email');
     
+    const eventData = {
+      message_id: message._id,
+      emoji,
+      user: {
+        _id: req.user._id,
+        display_name: req.user.display_name
+      }
+    };
+    
     // Emit to socket.io if available
     if (req.app.get('io')) {
       const io = req.app.get('io');
-      io.to(`channel:${message.channel_id}`).emit('message:reaction_added', {
-        message_id: message._id,
-        emoji,
-        user: {
-          _id: req.user._id,
-          display_name: req.user.display_name
-        }
-      });
+      io.to(`channel:${message.channel_id}`).emit('message:reaction_added', eventData);
     }
     
+    // Notify subscribed integrations
+    eventService.publishEvent('message:reaction_added', message.channel_id, eventData);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -424,19 +517,29 @@ exports.removeReaction = async (req, res, next) => {
       return next(new AppError('You are not a member of this channel', 403));
     }
     
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
     // Remove reaction
     await message.removeReaction(emoji, req.user._id);
     
+    const eventData = {
+      message_id: message._id,
+      emoji,
+      user_id: req.user._id
+    };
+    
     // Emit to socket.io if available
     if (req.app.get('io')) {
       const io = req.app.get('io');
-      io.to(`channel:${message.channel_id}`).emit('message:reaction_removed', {
-        message_id: message._id,
-        emoji,
-        user_id: req.user._id
-      });
+      io.to(`channel:${message.channel_id}`).emit('message:reaction_removed', eventData);
     }
     
+    // Notify subscribed integrations
+    eventService.publishEvent('message:reaction_removed', message.channel_id, eventData);
+    
     res.status(200).json({
       status: 'success',
       data: null
@@ -479,6 +582,16 @@ exports.pinMessage = async (req, res, next) => {
       return next(new AppError('You are not a member of this channel', 403));
     }
     
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
+    // Check if user may pin messages in the channel
+    if (!channel.hasPermission(req.user._id, 'pin_message', req.user.role)) {
+      return next(new AppError('Only channel owners and moderators can pin messages', 403));
+    }
+    
     // Pin message
     message.is_pinned = true;
     await message.save();
@@ -486,15 +599,20 @@ exports.pinMessage = async (req, res, next) => {
     // Populate author details
     await message.populate('author_id', 'display_name email');
     
+    const eventData = {
+      message_id: message._id,
+      pinned_by: req.user._id
+    };
+    
     // Emit to socket.io if available
     if (req.app.get('io')) {
       const io = req.app.get('io');
-      io.to(`channel:${message.channel_id}`).emit('message:pinned', {
-        message_id: message._id,
-        pinned_by: req.user._id
-      });
+      io.to(`channel:${message.channel_id}`).emit('message:pinned', eventData);
     }
     
+    // Notify subscribed integrations
+    eventService.publishEvent('message:pinned', message.channel_id, eventData);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -539,19 +657,34 @@ exports.unpinMessage = async (req, res, next) => {
       return next(new AppError('You are not a member of this channel', 403));
     }
     
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+    
+    // Check if user may pin messages in the channel
+    if (!channel.hasPermission(req.user._id, 'pin_message', req.user.role)) {
+      return next(new AppError('Only channel owners and moderators can unpin messages', 403));
+    }
+    
     // Unpin message
     message.is_pinned = false;
     await message.save();
     
+    const eventData = {
+      message_id: message._id,
+      unpinned_by: req.user._id
+    };
+    
     // Emit to socket.io if available
     if (req.app.get('io')) {
       const io = req.app.get('io');
-      io.to(`channel:${message.channel_id}`).emit('message:unpinned', {
-        message_id: message._id,
-        unpinned_by: req.user._id
-      });
+      io.to(`channel:${message.channel_id}`).emit('message:unpinned', eventData);
     }
     
+    // Notify subscribed integrations
+    eventService.publishEvent('message:unpinned', message.channel_id, eventData);
+    
     res.status(200).json({
       status: 'success',
       data: null
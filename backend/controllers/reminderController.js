@@ -0,0 +1,231 @@
+const Reminder = require('../models/Reminder');
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const { AppError } = require('../middleware/errorHandler');
+const { parseReminderTime, parseReminderCommand } = require('../services/reminderService');
+
+// Snoozing defaults to 20 minutes
+const DEFAULT_SNOOZE_MINUTES = 20;
+
+/**
+ * Find a reminder owned by the current user
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to the reminder
+ */
+const findOwnReminder = async (req) => {
+  const reminder = await Reminder.findOne({ _id: req.params.id, user_id: req.user._id });
+
+  if (!reminder) {
+    throw new AppError('Reminder not found', 404);
+  }
+
+  return reminder;
+};
+
+/**
+ * Create a reminder about a message or with free text
+ * The time can be given as remind_at (ISO date or "in 2 hours"), or the
+ * whole reminder as a /remind style command ("me to review the PR tomorrow at 9am").
+ * @route POST /api/reminders
+ * @access Private
+ */
+exports.createReminder = async (req, res, next) => {
+  try {
+    const { message_id, command, remind_at } = req.body;
+    const timeZone = req.user.time_zone || 'UTC';
+
+    let text = req.body.text;
+    let remindAt;
+
+    if (command) {
+      const parsed = parseReminderCommand(command, timeZone);
+      if (!parsed) {
+        return next(new AppError('Could not find a time in the reminder, e.g. "me to review the PR in 2 hours"', 400));
+      }
+      text = parsed.text;
+      remindAt = parsed.remind_at;
+    } else {
+      remindAt = parseReminderTime(remind_at, timeZone);
+      if (!remindAt) {
+        return next(new AppError('A valid remind_at time is required, e.g. an ISO date or "in 2 hours"', 400));
+      }
+    }
+
+    if (remindAt <= new Date()) {
+      return next(new AppError('Reminder time must be in the future', 400));
+    }
+
+    const reminderData = {
+      user_id: req.user._id,
+      text: text || '',
+      remind_at: remindAt
+    };
+
+    // Reminders about a message need access to its channel
+    if (message_id) {
+      const message = await Message.findById(message_id);
+      if (!message || message.is_deleted) {
+        return next(new AppError('Message not found', 404));
+      }
+
+      const channel = await Channel.findById(message.channel_id);
+      if (!channel || !channel.members.includes(req.user._id)) {
+        return next(new AppError('You are not a member of this channel', 403));
+      }
+
+      reminderData.message_id = message._id;
+      reminderData.channel_id = message.channel_id;
+    }
+
+    const reminder = await Reminder.create(reminderData);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        reminder
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's reminders
+ * @route GET /api/reminders
+ * @access Private
+ */
+exports.getReminders = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    // Completed reminders are hidden unless asked for
+    const query = { user_id: req.user._id };
+    if (status === 'all') {
+      // No status filter
+    } else if (status) {
+      query.status = status;
+    } else {
+      query.status = { $in: ['pending', 'fired'] };
+    }
+
+    const reminders = await Reminder.find(query)
+      .sort({ remind_at: 1 })
+      .populate('message_id', 'content author_id channel_id created_at')
+      .populate('channel_id', 'name type');
+
+    res.status(200).json({
+      status: 'success',
+      results: reminders.length,
+      data: {
+        reminders
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Snooze a reminder
+ * @route POST /api/reminders/:id/snooze
+ * @access Private
+ */
+exports.snoozeReminder = async (req, res, next) => {
+  try {
+    const { minutes, until } = req.body;
+
+    const reminder = await findOwnReminder(req);
+    if (reminder.status === 'completed') {
+      return next(new AppError('Reminder is already completed', 400));
+    }
+
+    // The reminder is firing right now; snooze it once it has fired
+    if (reminder.status === 'sending') {
+      return next(new AppError('Reminder is being sent. Try snoozing again in a moment.', 400));
+    }
+
+    let remindAt;
+    if (until) {
+      remindAt = parseReminderTime(until, req.user.time_zone || 'UTC');
+      if (!remindAt || remindAt <= new Date()) {
+        return next(new AppError('until must be a future time, e.g. an ISO date or "in 1 hour"', 400));
+      }
+    } else {
+      const snoozeMinutes = minutes === undefined ? DEFAULT_SNOOZE_MINUTES : minutes;
+      if (!Number.isInteger(snoozeMinutes) || snoozeMinutes < 1) {
+        return next(new AppError('Minutes must be a positive whole number', 400));
+      }
+      remindAt = new Date(Date.now() + snoozeMinutes * 60 * 1000);
+    }
+
+    // Update only if the dispatcher has not claimed the reminder since it was read
+    const snoozed = await Reminder.findOneAndUpdate(
+      { _id: reminder._id, status: reminder.status },
+      {
+        remind_at: remindAt,
+        status: 'pending',
+        fired_at: null,
+        notification_id: null,
+        $inc: { snooze_count: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!snoozed) {
+      return next(new AppError('Reminder is being sent. Try snoozing again in a moment.', 400));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reminder: snoozed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a reminder as completed
+ * @route POST /api/reminders/:id/complete
+ * @access Private
+ */
+exports.completeReminder = async (req, res, next) => {
+  try {
+    const reminder = await findOwnReminder(req);
+
+    reminder.status = 'completed';
+    reminder.completed_at = Date.now();
+    await reminder.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reminder
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a reminder
+ * @route DELETE /api/reminders/:id
+ * @access Private
+ */
+exports.deleteReminder = async (req, res, next) => {
+  try {
+    const reminder = await findOwnReminder(req);
+    await reminder.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,195 @@
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Channel = require('../models/Channel');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+const { AppError } = require('../middleware/errorHandler');
+const messageService = require('../services/messageService');
+
+// Messages can be scheduled up to a year ahead
+const MAX_SCHEDULE_DAYS = 365;
+
+/**
+ * Parse and validate a send time
+ * @param {String} value - Date string
+ * @returns {Date} Send time
+ */
+const parseSendAt = (value) => {
+  const sendAt = new Date(value);
+
+  if (!value || isNaN(sendAt.getTime())) {
+    throw new AppError('A valid send_at time is required', 400);
+  }
+
+  if (sendAt <= new Date()) {
+    throw new AppError('send_at must be in the future', 400);
+  }
+
+  if (sendAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)) {
+    throw new AppError(`Messages can only be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead`, 400);
+  }
+
+  return sendAt;
+};
+
+/**
+ * Validate scheduled message content
+ * @param {String} content - Message content
+ */
+const validateContent = async (content) => {
+  if (!content || content.trim() === '') {
+    throw new AppError('Message content is required', 400);
+  }
+
+  const settings = await WorkspaceSettings.getSettings();
+  if (content.length > settings.max_message_length) {
+    throw new AppError(`Message cannot exceed ${settings.max_message_length} characters`, 400);
+  }
+};
+
+/**
+ * Change a pending scheduled message owned by the current user
+ * The update only applies while the message is still pending, so it can never
+ * race with the dispatcher claiming it.
+ * @param {Object} req - Express request
+ * @param {Object} update - Fields to set
+ * @returns {Promise} Promise resolving to the updated scheduled message
+ */
+const updatePendingScheduledMessage = async (req, update) => {
+  const scheduled = await ScheduledMessage.findOneAndUpdate(
+    { _id: req.params.id, author_id: req.user._id, status: 'pending' },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (scheduled) return scheduled;
+
+  const existing = await ScheduledMessage.findOne({ _id: req.params.id, author_id: req.user._id });
+  if (!existing) {
+    throw new AppError('Scheduled message not found', 404);
+  }
+
+  throw new AppError(`Scheduled message is already ${existing.status}`, 400);
+};
+
+/**
+ * Schedule a message to be sent later
+ * @route POST /api/messages/scheduled
+ * @access Private
+ */
+exports.createScheduledMessage = async (req, res, next) => {
+  try {
+    const { content, channel_id, thread_parent_id, send_at } = req.body;
+
+    await validateContent(content);
+    const sendAt = parseSendAt(send_at);
+
+    // Check if channel exists and user may post in it
+    const channel = await Channel.findById(channel_id);
+    messageService.assertCanPost(channel, req.user._id);
+
+    // If it's a thread reply, check if parent message exists
+    if (thread_parent_id) {
+      await messageService.assertThreadParent(thread_parent_id, channel._id);
+    }
+
+    const scheduled = await ScheduledMessage.create({
+      content,
+      author_id: req.user._id,
+      channel_id,
+      thread_parent_id: thread_parent_id || null,
+      send_at: sendAt
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        scheduled_message: scheduled
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's scheduled messages
+ * @route GET /api/messages/scheduled
+ * @access Private
+ */
+exports.getScheduledMessages = async (req, res, next) => {
+  try {
+    const { channel_id, status = 'pending' } = req.query;
+
+    // Build query
+    const query = { author_id: req.user._id };
+    if (channel_id) query.channel_id = channel_id;
+    if (status !== 'all') query.status = status;
+
+    const scheduledMessages = await ScheduledMessage.find(query)
+      .sort({ send_at: 1 })
+      .populate('channel_id', 'name type');
+
+    res.status(200).json({
+      status: 'success',
+      results: scheduledMessages.length,
+      data: {
+        scheduled_messages: scheduledMessages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a pending scheduled message
+ * @route PATCH /api/messages/scheduled/:id
+ * @access Private
+ */
+exports.updateScheduledMessage = async (req, res, next) => {
+  try {
+    const { content, send_at } = req.body;
+
+    if (content === undefined && send_at === undefined) {
+      return next(new AppError('Please provide content or send_at', 400));
+    }
+
+    const update = {};
+
+    if (content !== undefined) {
+      await validateContent(content);
+      update.content = content;
+    }
+
+    if (send_at !== undefined) {
+      update.send_at = parseSendAt(send_at);
+    }
+
+    const scheduled = await updatePendingScheduledMessage(req, update);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scheduled_message: scheduled
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a pending scheduled message
+ * @route DELETE /api/messages/scheduled/:id
+ * @access Private
+ */
+exports.cancelScheduledMessage = async (req, res, next) => {
+  try {
+    await updatePendingScheduledMessage(req, { status: 'cancelled' });
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,160 @@
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const embeddingService = require('../services/embeddingService');
+const { parseSearchQuery, buildSnippet, encodeCursor, decodeCursor, parseDateFilter } = require('../services/searchService');
+const { escapeRegex } = require('../utils/escape');
+
+/**
+ * Semantic search over messages in the user's channels
+ * @route GET /api/search/semantic
+ * @access Private
+ */
+exports.semanticSearch = async (req, res, next) => {
+  try {
+    const { q, limit = 20 } = req.query;
+
+    // Validate query
+    if (!q || q.trim() === '') {
+      return next(new AppError('Search query is required', 400));
+    }
+
+    const resultLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    // Only search channels the user is a member of
+    const channels = await Channel.find({ members: req.user._id }).select('_id');
+
+    const ranked = await embeddingService.searchSimilar(
+      req.user._id,
+      q.trim(),
+      channels.map(channel => channel._id),
+      resultLimit
+    );
+
+    // Load the matching messages, dropping any deleted since they were indexed
+    const messages = await Message.find({
+      _id: { $in: ranked.map(result => result.message_id) },
+      is_deleted: false
+    })
+      .populate('author_id', 'display_name email')
+      .populate('channel_id', 'name type');
+    const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+
+    const results = ranked
+      .filter(result => messagesById.has(result.message_id.toString()))
+      .map(result => ({
+        score: result.score,
+        message: messagesById.get(result.message_id.toString())
+      }));
+
+    res.status(200).json({
+      status: 'success',
+      results: results.length,
+      data: {
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Full-text search over messages in the user's channels
+ * @route GET /api/search/messages
+ * @access Private
+ */
+exports.searchMessages = async (req, res, next) => {
+  try {
+    const { q, cursor, limit = 20 } = req.query;
+
+    // Validate query
+    if (!q || q.trim() === '') {
+      return next(new AppError('Search query is required', 400));
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+    const { text, filters } = parseSearchQuery(q.trim());
+
+    // Restrict to channels the user is a member of, narrowed by in:
+    const channelQuery = { members: req.user._id };
+    if (filters.in.length > 0) {
+      channelQuery.name = { $in: filters.in.map(name => name.toLowerCase()) };
+    }
+    const channels = await Channel.find(channelQuery).select('_id');
+
+    const query = {
+      channel_id: { $in: channels.map(channel => channel._id) },
+      is_deleted: false
+    };
+
+    if (text) {
+      query.$text = { $search: text };
+    }
+
+    if (filters.from.length > 0) {
+      const authors = await User.find({
+        $or: filters.from.map(name => ({
+          display_name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') }
+        })).concat({ email: { $in: filters.from.map(name => name.toLowerCase()) } })
+      }).select('_id');
+      query.author_id = { $in: authors.map(author => author._id) };
+    }
+
+    if (filters.has.includes('file')) {
+      query.file_url = { $ne: null };
+    }
+
+    if (filters.is.includes('pinned')) {
+      query.is_pinned = true;
+    }
+
+    if (filters.is.includes('thread')) {
+      query.thread_parent_id = { $ne: null };
+    }
+
+    if (filters.before || filters.after) {
+      query.created_at = {};
+      if (filters.before) query.created_at.$lt = parseDateFilter(filters.before, 'before');
+      if (filters.after) query.created_at.$gt = parseDateFilter(filters.after, 'after');
+    }
+
+    // Continue after the last message of the previous page
+    if (cursor) {
+      const { createdAt, id } = decodeCursor(cursor);
+      query.$and = [{
+        $or: [
+          { created_at: { $lt: createdAt } },
+          { created_at: createdAt, _id: { $lt: id } }
+        ]
+      }];
+    }
+
+    // Fetch one extra message to know whether there is a next page
+    const messages = await Message.find(query)
+      .sort({ created_at: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .populate('author_id', 'display_name email')
+      .populate('channel_id', 'name type');
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize);
+
+    const results = page.map(message => ({
+      message,
+      snippet: buildSnippet(message.content || '', text)
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      results: results.length,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      data: {
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
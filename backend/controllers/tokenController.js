@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { disconnectTokenSockets } = require('../services/socketService');
+
+// Longest lifetime a token can be given; omit expires_in_days for no expiry
+const MAX_TOKEN_DAYS = 365;
+
+/**
+ * Validate the name, scopes and lifetime of a token request
+ * @param {Object} body - Request body
+ * @returns {Object} { name, scopes, expires_in_days }
+ */
+const readTokenRequest = ({ name, scopes, expires_in_days }) => {
+  if (!name || name.trim() === '') {
+    throw new AppError('Token name is required', 400);
+  }
+
+  const availableScopes = ApiToken.schema.path('scopes').caster.enumValues;
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AppError(`Grant at least one scope: ${availableScopes.join(', ')}`, 400);
+  }
+
+  const unknown = scopes.filter(scope => !availableScopes.includes(scope));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown scopes: ${unknown.join(', ')}`, 400);
+  }
+
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    const days = Number(expires_in_days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_DAYS) {
+      throw new AppError(`expires_in_days must be a whole number from 1 to ${MAX_TOKEN_DAYS}`, 400);
+    }
+    return { name, scopes: [...new Set(scopes)], expires_in_days: days };
+  }
+
+  return { name, scopes: [...new Set(scopes)], expires_in_days: null };
+};
+
+/**
+ * Find a bot account by the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to the bot user
+ */
+const findBot = async (req) => {
+  const bot = await User.findOne({ _id: req.params.id, is_bot: true });
+  if (!bot) {
+    throw new AppError('Bot not found', 404);
+  }
+  return bot;
+};
+
+/**
+ * Revoke a token and close sockets opened with it
+ * @param {Object} req - Express request
+ * @param {Object} apiToken - Token to revoke
+ */
+const revoke = async (req, apiToken) => {
+  if (!apiToken.revoked_at) {
+    apiToken.revoked_at = Date.now();
+    await apiToken.save();
+  }
+  await disconnectTokenSockets(req.app.get('io'), apiToken.user_id, apiToken._id);
+};
+
+/**
+ * Get the current user's personal API tokens
+ * @route GET /api/tokens
+ * @access Private
+ */
+exports.getMyTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.find({ user_id: req.user._id, type: 'personal' })
+      .sort({ created_at: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: tokens.length,
+      data: {
+        tokens,
+        available_scopes: ApiToken.schema.path('scopes').caster.enumValues
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a personal API token that acts as the current user
+ * The token is only returned in this response.
+ * @route POST /api/tokens
+ * @access Private
+ */
+exports.createMyToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expires_in_days } = readTokenRequest(req.body);
+
+    const { apiToken, token } = await ApiToken.issueToken({
+      user_id: req.user._id,
+      type: 'personal',
+      name,
+      scopes,
+      expires_in_days,
+      created_by: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        token: apiToken,
+        secret: token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's personal API tokens
+ * @route DELETE /api/tokens/:id
+ * @access Private
+ */
+exports.revokeMyToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+      type: 'personal'
+    });
+
+    if (!apiToken) {
+      return next(new AppError('Token not found', 404));
+    }
+
+    await revoke(req, apiToken);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token: apiToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get bot accounts
+ * @route GET /api/bots
+ * @access Private (Admin)
+ */
+exports.getBots = async (req, res, next) => {
+  try {
+    const bots = await User.find({ is_bot: true })
+      .sort({ created_at: -1 })
+      .populate('bot_owner_id', 'display_name email');
+
+    res.status(200).json({
+      status: 'success',
+      results: bots.length,
+      data: {
+        bots
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a bot account
+ * Bots cannot log in; they act through bot tokens.
+ * @route POST /api/bots
+ * @access Private (Admin)
+ */
+exports.createBot = async (req, res, next) => {
+  try {
+    const { display_name, bio } = req.body;
+
+    if (!display_name || display_name.trim() === '') {
+      return next(new AppError('Bot display name is required', 400));
+    }
+
+    const bot = await User.create({
+      email: `bot-${crypto.randomBytes(8).toString('hex')}@bots.invalid`,
+      display_name,
+      bio,
+      is_bot: true,
+      bot_owner_id: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        bot
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a bot by revoking all of its tokens
+ * The account is kept so its messages still show an author.
+ * @route DELETE /api/bots/:id
+ * @access Private (Admin)
+ */
+exports.deactivateBot = async (req, res, next) => {
+  try {
+    const bot = await findBot(req);
+
+    const result = await ApiToken.updateMany(
+      { user_id: bot._id, revoked_at: null },
+      { revoked_at: Date.now() }
+    );
+    await disconnectTokenSockets(req.app.get('io'), bot._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        bot,
+        revoked_count: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a bot's tokens
+ * @route GET /api/bots/:id/tokens
+ * @access Private (Admin)
+ */
+exports.getBotTokens = async (req, res, next) => {
+  try {
+    const bot = await findBot(req);
+
+    const tokens = await ApiToken.find({ user_id: bot._id, type: 'bot' })
+      .sort({ created_at: -1 })
+      .populate('created_by', 'display_name email');
+
+    res.status(200).json({
+      status: 'success',
+      results: tokens.length,
+      data: {
+        tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a token that acts as a bot
+ * The token is only returned in this response.
+ * @route POST /api/bots/:id/tokens
+ * @access Private (Admin)
+ */
+exports.createBotToken = async (req, res, next) => {
+  try {
+    const bot = await findBot(req);
+    const { name, scopes, expires_in_days } = readTokenRequest(req.body);
+
+    const { apiToken, token } = await ApiToken.issueToken({
+      user_id: bot._id,
+      type: 'bot',
+      name,
+      scopes,
+      expires_in_days,
+      created_by: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        token: apiToken,
+        secret: token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of a bot's tokens
+ * @route DELETE /api/bots/:id/tokens/:tokenId
+ * @access Private (Admin)
+ */
+exports.revokeBotToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.tokenId,
+      user_id: req.params.id,
+      type: 'bot'
+    });
+
+    if (!apiToken) {
+      return next(new AppError('Token not found', 404));
+    }
+
+    await revoke(req, apiToken);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token: apiToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IncomingWebhook = require('../models/IncomingWebhook');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+const { AppError } = require('../middleware/errorHandler');
+const messageService = require('../services/messageService');
+
+// Slack limits messages to 50 blocks; attachments are capped similarly
+const MAX_BLOCKS = 50;
+const MAX_ATTACHMENTS = 20;
+
+/**
+ * Find a channel and check that the user may manage its integrations
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to the channel
+ */
+const findIntegrationChannel = async (req) => {
+  const channel = await Channel.findById(req.params.id);
+
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  if (channel.type === 'dm') {
+    throw new AppError('Webhooks cannot post into direct messages', 400);
+  }
+
+  if (!channel.hasPermission(req.user._id, 'manage_integrations', req.user.role)) {
+    throw new AppError('Only channel owners and admins can manage webhooks', 403);
+  }
+
+  return channel;
+};
+
+/**
+ * Read a Slack-compatible payload, sent as JSON or as a form field named payload
+ * @param {Object} body - Request body
+ * @returns {Object} { text, username, icon_url, icon_emoji, attachments, blocks }
+ */
+const parsePayload = (body) => {
+  let payload = body || {};
+
+  if (typeof payload.payload === 'string') {
+    try {
+      payload = JSON.parse(payload.payload);
+    } catch (error) {
+      throw new AppError('payload must be valid JSON', 400);
+    }
+  }
+
+  const { text, username, icon_url, icon_emoji, attachments, blocks } = payload;
+
+  if (text !== undefined && typeof text !== 'string') {
+    throw new AppError('text must be a string', 400);
+  }
+
+  if (attachments !== undefined && (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS)) {
+    throw new AppError(`attachments must be an array of at most ${MAX_ATTACHMENTS} items`, 400);
+  }
+
+  if (blocks !== undefined && (!Array.isArray(blocks) || blocks.length > MAX_BLOCKS)) {
+    throw new AppError(`blocks must be an array of at most ${MAX_BLOCKS} items`, 400);
+  }
+
+  return { text, username, icon_url, icon_emoji, attachments, blocks };
+};
+
+/**
+ * Build plain-text content for a payload without text
+ * Uses attachment fallbacks and block text so search and notifications still work.
+ * @param {Object} payload - Parsed payload
+ * @returns {String} Message content
+ */
+const getFallbackText = ({ attachments = [], blocks = [] }) => {
+  const attachmentText = attachments
+    .map(attachment => attachment && (attachment.fallback || attachment.text || attachment.pretext || attachment.title))
+    .filter(value => typeof value === 'string' && value.trim() !== '');
+
+  const blockText = blocks
+    .map(block => block && block.text && block.text.text)
+    .filter(value => typeof value === 'string' && value.trim() !== '');
+
+  return [...attachmentText, ...blockText].join('\n');
+};
+
+/**
+ * Get a channel's incoming webhooks
+ * @route GET /api/channels/:id/webhooks
+ * @access Private (Channel owner or admin)
+ */
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    const channel = await findIntegrationChannel(req);
+
+    const webhooks = await IncomingWebhook.find({ channel_id: channel._id })
+      .sort({ created_at: -1 })
+      .populate('created_by', 'display_name email');
+
+    res.status(200).json({
+      status: 'success',
+      results: webhooks.length,
+      data: {
+        webhooks
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an incoming webhook for a channel
+ * The token is only returned in this response.
+ * @route POST /api/channels/:id/webhooks
+ * @access Private (Channel owner or admin)
+ */
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || name.trim() === '') {
+      return next(new AppError('Webhook name is required', 400));
+    }
+
+    const channel = await findIntegrationChannel(req);
+
+    // Each webhook posts as its own bot account, created only once the webhook is valid
+    const { token, token_hash, token_prefix } = IncomingWebhook.generateToken();
+    const webhook = new IncomingWebhook({
+      channel_id: channel._id,
+      name,
+      description,
+      bot_user_id: new mongoose.Types.ObjectId(),
+      token_hash,
+      token_prefix,
+      created_by: req.user._id
+    });
+
+    const validationError = webhook.validateSync();
+    if (validationError) {
+      return next(new AppError(Object.values(validationError.errors)[0].message, 400));
+    }
+
+    await User.create({
+      _id: webhook.bot_user_id,
+      email: `webhook-${crypto.randomBytes(8).toString('hex')}@bots.invalid`,
+      display_name: name,
+      is_bot: true
+    });
+
+    try {
+      await webhook.save();
+    } catch (error) {
+      await User.deleteOne({ _id: webhook.bot_user_id });
+      throw error;
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        webhook,
+        token,
+        url: `/api/hooks/${token}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an incoming webhook
+ * @route DELETE /api/channels/:id/webhooks/:webhookId
+ * @access Private (Channel owner or admin)
+ */
+exports.revokeWebhook = async (req, res, next) => {
+  try {
+    const channel = await findIntegrationChannel(req);
+
+    const webhook = await IncomingWebhook.findOne({ _id: req.params.webhookId, channel_id: channel._id });
+    if (!webhook) {
+      return next(new AppError('Webhook not found', 404));
+    }
+
+    if (!webhook.is_revoked) {
+      webhook.is_revoked = true;
+      webhook.revoked_at = Date.now();
+      webhook.revoked_by = req.user._id;
+      await webhook.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a message into a channel through an incoming webhook
+ * Accepts Slack-compatible payloads: text, username, icon_url, icon_emoji, attachments and blocks.
+ * @route POST /api/hooks/:token
+ * @access Public (token)
+ */
+exports.receiveWebhook = async (req, res, next) => {
+  try {
+    const webhook = await IncomingWebhook.findByToken(req.params.token);
+    if (!webhook) {
+      return next(new AppError('Invalid or revoked webhook token', 404));
+    }
+
+    const payload = parsePayload(req.body);
+    const content = payload.text || getFallbackText(payload);
+
+    if (!content && !payload.attachments && !payload.blocks) {
+      return next(new AppError('Payload must include text, attachments or blocks', 400));
+    }
+
+    const settings = await WorkspaceSettings.getSettings();
+    if (content.length > settings.max_message_length) {
+      return next(new AppError(`Message cannot exceed ${settings.max_message_length} characters`, 400));
+    }
+
+    const channel = await Channel.findById(webhook.channel_id);
+    if (!channel) {
+      return next(new AppError('Channel not found', 404));
+    }
+
+    // Archived channels are read-only
+    if (channel.is_archived) {
+      return next(new AppError('This channel is archived', 400));
+    }
+
+    await messageService.publishMessage(req.app.get('io'), {
+      content,
+      author_id: webhook.bot_user_id,
+      channel_id: channel._id,
+      webhook_id: webhook._id,
+      bot_profile: {
+        username: payload.username,
+        icon_url: payload.icon_url,
+        icon_emoji: payload.icon_emoji
+      },
+      attachments: payload.attachments,
+      blocks: payload.blocks
+    });
+
+    await IncomingWebhook.updateOne(
+      { _id: webhook._id },
+      { $set: { last_used_at: Date.now() }, $inc: { message_count: 1 } }
+    );
+
+    // Slack answers successful webhook calls with a plain "ok"
+    res.status(200).type('text/plain').send('ok');
+  } catch (error) {
+    next(error);
+  }
+};
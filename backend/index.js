@@ -10,6 +10,12 @@ const fs = require('fs');
 const connectDB = require('./config/database');
 const { errorHandler, AppError } = require('./middleware/errorHandler');
 const { initializeSocket } = require('./services/socketService');
+const { syncRetentionIndexes } = require('./services/settingsService');
+const { startRetentionJob } = require('./services/retentionService');
+const { startScheduledMessageDispatcher } = require('./services/scheduledMessageService');
+const { startReminderDispatcher } = require('./services/reminderService');
+const { startDeliveryDispatcher } = require('./services/eventService');
+const { startDigestJob } = require('./services/digestService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -17,6 +23,15 @@ const channelRoutes = require('./routes/channelRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const fileRoutes = require('./routes/fileRoutes');
+const aiRoutes = require('./routes/aiRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const reminderRoutes = require('./routes/reminderRoutes');
+const commandRoutes = require('./routes/commandRoutes');
+const hookRoutes = require('./routes/hookRoutes');
+const integrationRoutes = require('./routes/integrationRoutes');
+const tokenRoutes = require('./routes/tokenRoutes');
+const botRoutes = require('./routes/botRoutes');
 
 // Load environment variables
 dotenv.config();
@@ -28,6 +43,12 @@ const PORT = process.env.PORT || 4040;
 // Connect to MongoDB
 connectDB();
 
+// Keep retention in line with the workspace and channel settings
+mongoose.connection.once('open', () => {
+  syncRetentionIndexes().catch(error => console.error('Error syncing retention indexes:', error));
+  startRetentionJob();
+});
+
 // No need to create uploads directory anymore as we're using system temp dir
 
 // Middleware
@@ -52,6 +73,15 @@ app.use('/api/channels', channelRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/ai', aiRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/commands', commandRoutes);
+app.use('/api/hooks', hookRoutes);
+app.use('/api/integrations', integrationRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/bots', botRoutes);
 
 // Test error route
 app.get('/api/test-error', (req, res, next) => {
@@ -75,6 +105,16 @@ const io = initializeSocket(server);
 // Store io instance on app for use in routes
 app.set('io', io);
 
+// Send scheduled messages and reminders once they are due
+startScheduledMessageDispatcher(io);
+startReminderDispatcher(io);
+
+// Deliver workspace events to integrations, retrying failures
+startDeliveryDispatcher();
+
+// Email digests of unread notifications to users who have been away
+startDigestJob();
+
 // Start server with error handling for port conflicts
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
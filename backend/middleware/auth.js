@@ -1,47 +1,163 @@
 const jwt = require('jsonwebtoken');
 const { AppError } = require('./errorHandler');
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const Session = require('../models/Session');
+
+// Only record API token use once a minute
+const TOKEN_USAGE_INTERVAL_MS = 60 * 1000;
+
+// Requests unverified accounts may always make
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Protect routes - Verify JWT token and set user on request
+ * Resolve an API token to its user
+ * @param {String} token - Personal or bot API token
+ * @returns {Promise} Promise resolving to { user, apiToken }
  */
-exports.protect = async (req, res, next) => {
-  try {
-    let token;
-    
-    // Get token from Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+exports.authenticateApiToken = async (token) => {
+  const apiToken = await ApiToken.findActiveToken(token);
+  if (!apiToken) {
+    throw new AppError('Invalid, expired or revoked API token.', 401);
+  }
+  
+  const user = await User.findById(apiToken.user_id);
+  if (!user) {
+    throw new AppError('The user belonging to this token no longer exists.', 401);
+  }
+  
+  if (!apiToken.last_used_at || Date.now() - apiToken.last_used_at > TOKEN_USAGE_INTERVAL_MS) {
+    await ApiToken.updateOne({ _id: apiToken._id }, { last_used_at: Date.now() });
+  }
+  
+  return { user, apiToken };
+};
+
+/**
+ * Resolve a session access token to its user and session
+ * Access tokens stop working as soon as their session is revoked.
+ * @param {String} token - Access token (JWT)
+ * @returns {Promise} Promise resolving to { user, session }
+ */
+exports.verifyAccessToken = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Check that the session is still active
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive() || session.user_id.toString() !== decoded.id) {
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+  
+  // Check if user still exists
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw new AppError('The user belonging to this token no longer exists.', 401);
+  }
+  
+  return { user, session };
+};
+
+/**
+ * Verify the bearer token and set user on request
+ * API tokens are only accepted when the route names a scope they grant.
+ * @param {Object} req - Express request
+ * @param {String} scope - API token scope the route requires, or null for session-only routes
+ * @param {Boolean} allowUnverified - Let unverified accounts make changes through this route
+ */
+const authenticate = async (req, scope, allowUnverified = false) => {
+  let token;
+  
+  // Get token from Authorization header
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  
+  // Check if token exists
+  if (!token) {
+    throw new AppError('You are not logged in. Please log in to get access.', 401);
+  }
+  
+  if (ApiToken.isApiToken(token)) {
+    const { user, apiToken } = await exports.authenticateApiToken(token);
     
-    // Check if token exists
-    if (!token) {
-      return next(new AppError('You are not logged in. Please log in to get access.', 401));
+    if (!scope) {
+      throw new AppError('API tokens cannot access this endpoint.', 403);
     }
-    
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user still exists
-    const currentUser = await User.findById(decoded.id);
-    if (!currentUser) {
-      return next(new AppError('The user belonging to this token no longer exists.', 401));
+    if (!apiToken.hasScope(scope)) {
+      throw new AppError(`This token is missing the ${scope} scope.`, 403);
     }
     
-    // Grant access to protected route
-    req.user = currentUser;
+    req.user = user;
+    req.apiToken = apiToken;
+    return;
+  }
+  
+  const { user, session } = await exports.verifyAccessToken(token);
+  
+  // Unverified accounts can read but not make changes
+  if (!allowUnverified && user.email_verified === false && !READ_METHODS.includes(req.method)) {
+    throw new AppError('Please verify your email address to do this.', 403);
+  }
+  
+  // Grant access to protected route
+  req.user = user;
+  req.session = session;
+};
+
+/**
+ * Handle authentication errors from JWT verification
+ */
+const handleAuthError = (error, next) => {
+  if (error.name === 'JsonWebTokenError') {
+    return next(new AppError('Invalid token. Please log in again.', 401));
+  }
+  if (error.name === 'TokenExpiredError') {
+    return next(new AppError('Your access token has expired. Refresh it or log in again.', 401));
+  }
+  next(error);
+};
+
+/**
+ * Protect routes - Verify JWT token and set user on request
+ */
+exports.protect = async (req, res, next) => {
+  try {
+    await authenticate(req, null);
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return next(new AppError('Invalid token. Please log in again.', 401));
-    }
-    if (error.name === 'TokenExpiredError') {
-      return next(new AppError('Your token has expired. Please log in again.', 401));
-    }
-    next(error);
+    handleAuthError(error, next);
+  }
+};
+
+/**
+ * Protect account routes that unverified users still need, such as logout
+ */
+exports.protectUnverified = async (req, res, next) => {
+  try {
+    await authenticate(req, null, true);
+    next();
+  } catch (error) {
+    handleAuthError(error, next);
   }
 };
 
+/**
+ * Protect routes that API tokens may also use
+ * Session JWTs pass as with protect; API tokens must grant the scope.
+ * @param {String} scope - Required API token scope, e.g. messages:write
+ */
+exports.protectWithScope = (scope) => {
+  return async (req, res, next) => {
+    try {
+      await authenticate(req, scope);
+      next();
+    } catch (error) {
+      handleAuthError(error, next);
+    }
+  };
+};
+
 /**
  * Restrict access to certain roles
  */
@@ -60,10 +176,10 @@ exports.restrictTo = (...roles) => {
 };
 
 /**
- * Generate JWT token
+ * Generate a short-lived access token (JWT) for a session
  */
-exports.generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+exports.generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
-}; 
\ No newline at end of file
+};
@@ -2,6 +2,7 @@ const multer = require('multer');
 const path = require('path');
 const os = require('os');
 const { AppError } = require('./errorHandler');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
 
 // Set storage engine
 const storage = multer.diskStorage({
@@ -33,17 +34,29 @@ const fileFilter = (req, file, cb) => {
 };
 
 // Initialize upload
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max size
-  fileFilter: fileFilter
-});
+// The size limit comes from the workspace settings, so multer is configured per request
+const upload = {
+  single: (fieldName) => async (req, res, next) => {
+    try {
+      const settings = await WorkspaceSettings.getSettings();
+      req.uploadLimitMb = settings.max_upload_size_mb;
+      
+      multer({
+        storage: storage,
+        limits: { fileSize: settings.max_upload_size_mb * 1024 * 1024 },
+        fileFilter: fileFilter
+      }).single(fieldName)(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  }
+};
 
 // Error handler for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return next(new AppError('File size too large. Maximum size is 5MB', 400));
+      return next(new AppError(`File size too large. Maximum size is ${req.uploadLimitMb}MB`, 400));
     }
     return next(new AppError(`Upload error: ${err.message}`, 400));
   }
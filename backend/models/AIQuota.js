@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const aiQuotaSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['user', 'role'],
+    required: [true, 'Quota scope is required']
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member', null],
+    default: null
+  },
+  // 'all' limits the combined usage of every feature
+  feature_type: {
+    type: String,
+    enum: ['all', 'reply', 'tone', 'summary', 'orgbrain', 'search'],
+    default: 'all'
+  },
+  window: {
+    type: String,
+    enum: ['day', 'week', 'month'],
+    default: 'day'
+  },
+  limit: {
+    type: Number,
+    min: [0, 'Limit cannot be negative'],
+    default: null
+  },
+  unlimited: {
+    type: Boolean,
+    default: false
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// One rule per subject, feature and window
+aiQuotaSchema.index({ scope: 1, user_id: 1, role: 1, feature_type: 1, window: 1 }, { unique: true });
+
+// Validate that the rule targets a subject and has a limit
+aiQuotaSchema.pre('validate', function(next) {
+  if (this.scope === 'user' && !this.user_id) {
+    this.invalidate('user_id', 'User ID is required for user quotas');
+  }
+  if (this.scope === 'role' && !this.role) {
+    this.invalidate('role', 'Role is required for role quotas');
+  }
+  if (!this.unlimited && (this.limit === null || this.limit === undefined)) {
+    this.invalidate('limit', 'Limit is required unless the quota is unlimited');
+  }
+  next();
+});
+
+const AIQuota = mongoose.model('AIQuota', aiQuotaSchema);
+
+module.exports = AIQuota;
@@ -16,32 +16,69 @@ const aiUsageSchema = new mongoose.Schema({
   },
   feature_type: {
     type: String,
-    enum: ['reply', 'tone', 'summary', 'orgbrain'],
+    enum: ['reply', 'tone', 'summary', 'orgbrain', 'search'],
     required: [true, 'Feature type is required']
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  // Metrics summed over every request in the bucket
+  prompt_tokens: {
+    type: Number,
+    default: 0
+  },
+  completion_tokens: {
+    type: Number,
+    default: 0
+  },
+  total_latency_ms: {
+    type: Number,
+    default: 0
+  },
+  error_count: {
+    type: Number,
+    default: 0
+  },
+  last_error: {
+    type: String,
+    default: null
   }
 });
 
 // Create index for better performance
 aiUsageSchema.index({ user_id: 1, date: 1 });
 
-// Static method to check if user has reached daily limit
-aiUsageSchema.statics.hasReachedDailyLimit = async function(userId) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+// Create index for admin reports over a date range
+aiUsageSchema.index({ date: 1, feature_type: 1 });
+
+// Usage is bucketed per 15 minutes of UTC time. Every time zone offset in use is
+// a multiple of 15 minutes (e.g. Asia/Kolkata +5:30, Asia/Kathmandu +5:45), so
+// quota windows starting at local midnight always fall on a bucket boundary.
+const BUCKET_MINUTES = 15;
+
+const getBucketStart = (date = new Date()) => {
+  const bucket = new Date(date);
+  bucket.setUTCMinutes(bucket.getUTCMinutes() - (bucket.getUTCMinutes() % BUCKET_MINUTES), 0, 0);
+  return bucket;
+};
+
+// Static method to total usage in a time range, optionally for one feature
+aiUsageSchema.statics.getUsageTotal = async function(userId, start, end, featureType = 'all') {
+  const match = {
+    user_id: new mongoose.Types.ObjectId(userId),
+    date: {
+      $gte: start,
+      $lt: end
+    }
+  };
   
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+  if (featureType !== 'all') {
+    match.feature_type = featureType;
+  }
   
   const totalUsage = await this.aggregate([
-    {
-      $match: {
-        user_id: mongoose.Types.ObjectId(userId),
-        date: {
-          $gte: today,
-          $lt: tomorrow
-        }
-      }
-    },
+    { $match: match },
     {
       $group: {
         _id: null,
@@ -50,37 +87,58 @@ aiUsageSchema.statics.hasReachedDailyLimit = async function(userId) {
     }
   ]);
   
-  const limit = parseInt(process.env.AI_RATE_LIMIT) || 20;
-  return totalUsage.length > 0 && totalUsage[0].total >= limit;
+  return totalUsage.length > 0 ? totalUsage[0].total : 0;
 };
 
-// Static method to increment usage count
-aiUsageSchema.statics.trackUsage = async function(userId, featureType) {
+// Static method to check if user has reached the default daily limit (UTC day)
+aiUsageSchema.statics.hasReachedDailyLimit = async function(userId) {
   const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  today.setUTCHours(0, 0, 0, 0);
   
-  // Find or create usage record for today
-  const usage = await this.findOne({
-    user_id: userId,
-    feature_type: featureType,
-    date: {
-      $gte: today,
-      $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
+  const tomorrow = new Date(today);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  
+  const total = await this.getUsageTotal(userId, today, tomorrow);
+  
+  const limit = parseInt(process.env.AI_RATE_LIMIT) || 20;
+  return total >= limit;
+};
+
+// Static method to record a request and its metrics
+// Failed requests are recorded as errors and do not count towards quotas.
+aiUsageSchema.statics.trackUsage = async function(userId, featureType, metrics = {}) {
+  const {
+    provider = null,
+    prompt_tokens = 0,
+    completion_tokens = 0,
+    latency_ms = 0,
+    error = null
+  } = metrics;
+  
+  const update = {
+    $inc: {
+      request_count: error ? 0 : 1,
+      error_count: error ? 1 : 0,
+      prompt_tokens,
+      completion_tokens,
+      total_latency_ms: latency_ms
     }
-  });
+  };
   
-  if (usage) {
-    usage.request_count += 1;
-    await usage.save();
-    return usage;
-  } else {
-    return await this.create({
+  if (error) {
+    update.$set = { last_error: String(error).slice(0, 500) };
+  }
+  
+  return await this.findOneAndUpdate(
+    {
       user_id: userId,
       feature_type: featureType,
-      request_count: 1,
-      date: new Date()
-    });
-  }
+      provider,
+      date: getBucketStart()
+    },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
 };
 
 const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Permissions an API token can be granted
+const API_SCOPES = [
+  'channels:read',
+  'channels:write',
+  'messages:read',
+  'messages:write',
+  'reactions:write',
+  'users:read'
+];
+
+// Token prefixes tell API tokens apart from session JWTs
+const TOKEN_PREFIXES = {
+  personal: 'pat_',
+  bot: 'bot_'
+};
+
+const apiTokenSchema = new mongoose.Schema({
+  // Account the token acts as
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token user is required']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(TOKEN_PREFIXES),
+    required: [true, 'Token type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [50, 'Token name cannot exceed 50 characters']
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_SCOPES
+    }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Grant at least one scope'
+    }
+  },
+  // Only a hash of the token is stored; the token itself is shown once
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  token_prefix: {
+    type: String,
+    required: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+apiTokenSchema.index({ user_id: 1, created_at: -1 });
+
+// Static method to hash a token
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to check if a bearer token is an API token rather than a JWT
+apiTokenSchema.statics.isApiToken = function(token) {
+  return Object.values(TOKEN_PREFIXES).some(prefix => token.startsWith(prefix));
+};
+
+// Static method to generate a new token of a type
+apiTokenSchema.statics.generateToken = function(type) {
+  const token = `${TOKEN_PREFIXES[type]}${crypto.randomBytes(24).toString('hex')}`;
+  return { token, token_hash: this.hashToken(token), token_prefix: token.slice(0, 10) };
+};
+
+// Static method to create a token, returning the plain token once
+apiTokenSchema.statics.issueToken = async function({ user_id, type, name, scopes, expires_in_days, created_by }) {
+  const { token, token_hash, token_prefix } = this.generateToken(type);
+  const apiToken = await this.create({
+    user_id,
+    type,
+    name,
+    scopes,
+    token_hash,
+    token_prefix,
+    created_by,
+    expires_at: expires_in_days ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000) : null
+  });
+  return { apiToken, token };
+};
+
+// Static method to find a usable token
+apiTokenSchema.statics.findActiveToken = async function(token) {
+  return await this.findOne({
+    token_hash: this.hashToken(token),
+    revoked_at: null,
+    $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }]
+  });
+};
+
+// Method to check if the token grants a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const WorkspaceSettings = require('./WorkspaceSettings');
+const crypto = require('crypto');
+
+const accessRequestSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Request message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewed_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const mutedMemberSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null means muted until unmuted
+  until: {
+    type: Date,
+    default: null
+  },
+  muted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Channel roles allowed to perform each moderation action
+// Global admins can always perform every action.
+const CHANNEL_PERMISSIONS = {
+  delete_any_message: ['owner', 'moderator'],
+  pin_message: ['owner', 'moderator'],
+  kick_member: ['owner', 'moderator'],
+  mute_member: ['owner', 'moderator'],
+  manage_channel: ['owner', 'moderator'],
+  manage_roles: ['owner'],
+  manage_retention: ['owner'],
+  manage_integrations: ['owner']
+};
+
+// Message retention policies
+// 'default' follows the workspace setting, 'days' uses retention_days
+const RETENTION_POLICIES = ['default', 'forever', 'days'];
 
 const channelSchema = new mongoose.Schema({
   name: {
@@ -13,9 +80,21 @@ const channelSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['public', 'dm'],
+    enum: ['public', 'private', 'dm'],
     required: [true, 'Channel type is required']
   },
+  topic: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Channel topic cannot exceed 250 characters'],
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Channel description cannot exceed 500 characters'],
+    default: ''
+  },
   created_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -25,6 +104,66 @@ const channelSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  muted_members: [mutedMemberSchema],
+  access_requests: [accessRequestSchema],
+  name_history: [{
+    name: String,
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  is_archived: {
+    type: Boolean,
+    default: false
+  },
+  archived_at: {
+    type: Date,
+    default: null
+  },
+  archived_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  retention_policy: {
+    type: String,
+    enum: RETENTION_POLICIES,
+    default: 'default'
+  },
+  retention_days: {
+    type: Number,
+    min: [1, 'Retention must be at least 1 day'],
+    max: [3650, 'Retention cannot exceed 3650 days'],
+    default: null
+  },
+  // Pinned messages are kept regardless of retention unless disabled
+  retain_pinned: {
+    type: Boolean,
+    default: true
+  },
+  // Legal hold suspends all message deletion by the retention job
+  legal_hold: {
+    type: Boolean,
+    default: false
+  },
+  legal_hold_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  legal_hold_at: {
+    type: Date,
+    default: null
+  },
   created_at: {
     type: Date,
     default: Date.now
@@ -45,17 +184,76 @@ channelSchema.pre('save', function(next) {
   next();
 });
 
+// Validate that a days policy has a retention period
+channelSchema.pre('validate', function(next) {
+  if (this.retention_policy === 'days' && !this.retention_days) {
+    this.invalidate('retention_days', 'Retention days are required for a days policy');
+  }
+  next();
+});
+
+// Helper to read an ID from a populated or unpopulated reference
+const refId = ref => (ref && ref._id ? ref._id : ref).toString();
+
+// Method to get a user's role in the channel (owner, moderator, member or null)
+channelSchema.methods.getMemberRole = function(userId) {
+  const id = userId.toString();
+  
+  if (!this.members.some(member => refId(member) === id)) return null;
+  if (refId(this.created_by) === id) return 'owner';
+  if (this.moderators.some(moderator => refId(moderator) === id)) return 'moderator';
+  return 'member';
+};
+
+// Method to check if a user may perform a moderation action
+channelSchema.methods.hasPermission = function(userId, action, globalRole) {
+  if (globalRole === 'admin') return true;
+  
+  const role = this.getMemberRole(userId);
+  if (!role) return false;
+  
+  // DM participants are equals, so any of them may pin
+  if (this.type === 'dm' && action === 'pin_message') return true;
+  
+  return (CHANNEL_PERMISSIONS[action] || []).includes(role);
+};
+
+// Method to check if a user is currently muted
+channelSchema.methods.isMuted = function(userId) {
+  const id = userId.toString();
+  return this.muted_members.some(
+    mute => refId(mute.user_id) === id && (!mute.until || mute.until > new Date())
+  );
+};
+
+// Method to get how many days messages are kept (null keeps them forever)
+channelSchema.methods.getRetentionDays = function(defaultDays) {
+  if (this.retention_policy === 'forever') return null;
+  if (this.retention_policy === 'days') return this.retention_days;
+  return defaultDays || null;
+};
+
 // Static method to check if channel limit is reached
 channelSchema.statics.isChannelLimitReached = async function() {
+  const settings = await WorkspaceSettings.getSettings();
   const count = await this.countDocuments({ type: 'public' });
-  return count >= 10; // Maximum 10 public channels as per requirements
+  return count >= settings.max_public_channels;
+};
+
+// Static method to build the deterministic name of a DM channel
+// The same member set always produces the same name, whatever the order.
+channelSchema.statics.getDmName = function(memberIds) {
+  const key = [...new Set(memberIds.map(id => id.toString()))].sort().join(':');
+  return `dm-${crypto.createHash('sha1').update(key).digest('hex').slice(0, 20)}`;
 };
 
-// Static method to find DM channel between two users
-channelSchema.statics.findDmChannel = async function(user1Id, user2Id) {
+// Static method to find the DM channel for an exact set of users
+channelSchema.statics.findDmChannel = async function(...memberIds) {
+  const ids = [...new Set(memberIds.flat().map(id => id.toString()))];
+  
   return this.findOne({
     type: 'dm',
-    members: { $all: [user1Id, user2Id], $size: 2 }
+    members: { $all: ids, $size: ids.length }
   });
 };
 
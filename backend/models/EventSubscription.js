@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Workspace events integrations can subscribe to
+const SUBSCRIBABLE_EVENTS = [
+  'message:new',
+  'message:edited',
+  'message:deleted',
+  'message:reaction_added',
+  'message:reaction_removed',
+  'message:pinned',
+  'message:unpinned',
+  'channel:member_joined',
+  'channel:member_left'
+];
+
+const eventSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Integration name is required'],
+    trim: true,
+    maxlength: [50, 'Integration name cannot exceed 50 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Delivery URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Delivery URL must be an http or https URL']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: SUBSCRIBABLE_EVENTS
+    }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Empty means every public channel
+  channel_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel'
+  }],
+  // Used to sign deliveries with HMAC-SHA256
+  secret: {
+    type: String,
+    default: () => crypto.randomBytes(32).toString('hex'),
+    select: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+eventSubscriptionSchema.index({ events: 1, is_active: 1 });
+
+// Method to check if the subscription covers a channel
+eventSubscriptionSchema.methods.coversChannel = function(channel) {
+  if (this.channel_ids.length === 0) {
+    return channel.type === 'public';
+  }
+  return this.channel_ids.some(id => id.toString() === channel._id.toString());
+};
+
+const EventSubscription = mongoose.model('EventSubscription', eventSubscriptionSchema);
+
+module.exports = EventSubscription;
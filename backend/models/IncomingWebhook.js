@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const incomingWebhookSchema = new mongoose.Schema({
+  channel_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: [true, 'Channel is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    minlength: [2, 'Webhook name must be at least 2 characters'],
+    maxlength: [50, 'Webhook name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // Bot account that authors the webhook's messages
+  bot_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a hash of the token is stored; the token itself is shown once
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  token_prefix: {
+    type: String,
+    required: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  is_revoked: {
+    type: Boolean,
+    default: false
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  message_count: {
+    type: Number,
+    default: 0
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+incomingWebhookSchema.index({ channel_id: 1, created_at: -1 });
+
+// Static method to hash a webhook token
+incomingWebhookSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new webhook token
+incomingWebhookSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, token_hash: this.hashToken(token), token_prefix: token.slice(0, 6) };
+};
+
+// Static method to find an active webhook by its token
+incomingWebhookSchema.statics.findByToken = async function(token) {
+  return await this.findOne({ token_hash: this.hashToken(token), is_revoked: false });
+};
+
+const IncomingWebhook = mongoose.model('IncomingWebhook', incomingWebhookSchema);
+
+module.exports = IncomingWebhook;
@@ -24,9 +24,10 @@ const fileMetadataSchema = new mongoose.Schema({
 });
 
 const messageSchema = new mongoose.Schema({
+  // Length is checked against max_message_length when a message is posted or edited,
+  // so lowering the limit never blocks saving older messages
   content: {
-    type: String,
-    maxlength: [2000, 'Message cannot exceed 2000 characters']
+    type: String
   },
   author_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -68,6 +69,37 @@ const messageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set for messages posted by bot accounts, including incoming webhooks
+  is_bot: {
+    type: Boolean,
+    default: false
+  },
+  // Set for messages posted through an incoming webhook
+  webhook_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IncomingWebhook',
+    default: null
+  },
+  // Per-message name and icon overrides sent by integrations
+  bot_profile: {
+    username: String,
+    icon_url: String,
+    icon_emoji: String
+  },
+  // Slack-compatible rich content from integrations
+  attachments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  blocks: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  // System messages announce channel changes such as renames and archiving
+  is_system: {
+    type: Boolean,
+    default: false
+  },
   created_at: {
     type: Date,
     default: Date.now
@@ -88,13 +120,15 @@ messageSchema.index({ channel_id: 1, created_at: -1 });
 messageSchema.index({ author_id: 1, created_at: -1 });
 messageSchema.index({ thread_parent_id: 1 });
 
-// Create TTL index for 30-day message retention
-messageSchema.index({ created_at: 1 }, { expireAfterSeconds: 2592000 }); // 30 days
+// Create text index for full-text search
+messageSchema.index({ content: 'text' });
+
+// Message retention is enforced by the scheduled purge in retentionService
 
-// Method to check if message can be edited (within 5 minutes)
-messageSchema.methods.canBeEdited = function() {
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-  return this.created_at > fiveMinutesAgo && !this.is_deleted;
+// Method to check if message can be edited within the edit window
+messageSchema.methods.canBeEdited = function(editWindowMinutes = 5) {
+  const windowStart = new Date(Date.now() - editWindowMinutes * 60 * 1000);
+  return this.created_at > windowStart && !this.is_deleted;
 };
 
 // Method to add a reaction
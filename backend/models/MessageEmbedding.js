@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const messageEmbeddingSchema = new mongoose.Schema({
+  message_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: [true, 'Message ID is required'],
+    unique: true
+  },
+  channel_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: [true, 'Channel is required']
+  },
+  vector: {
+    type: [Number],
+    required: [true, 'Embedding vector is required']
+  },
+  model: {
+    type: String,
+    required: [true, 'Embedding model is required']
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+messageEmbeddingSchema.index({ channel_id: 1, model: 1 });
+
+const MessageEmbedding = mongoose.model('MessageEmbedding', messageEmbeddingSchema);
+
+module.exports = MessageEmbedding;
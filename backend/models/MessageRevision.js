@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const messageRevisionSchema = new mongoose.Schema({
+  message_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: [true, 'Message ID is required']
+  },
+  channel_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: [true, 'Channel is required']
+  },
+  author_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Message author is required']
+  },
+  // Content the message had before this change
+  content: {
+    type: String,
+    default: null
+  },
+  file_url: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['edit', 'delete'],
+    required: [true, 'Revision action is required']
+  },
+  performed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Revision user is required']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create index for better performance
+messageRevisionSchema.index({ message_id: 1, created_at: 1 });
+
+// Static method to record a message's content before it is edited or deleted
+messageRevisionSchema.statics.recordRevision = async function(message, action, userId) {
+  return await this.create({
+    message_id: message._id,
+    channel_id: message.channel_id,
+    author_id: message.author_id._id || message.author_id,
+    content: message.content,
+    file_url: message.file_url,
+    action,
+    performed_by: userId
+  });
+};
+
+const MessageRevision = mongoose.model('MessageRevision', messageRevisionSchema);
+
+module.exports = MessageRevision;
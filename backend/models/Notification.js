@@ -13,7 +13,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['mention', 'message', 'reply', 'channel_invite'],
+    enum: ['mention', 'message', 'reply', 'channel_invite', 'access_request', 'reminder'],
     required: [true, 'Notification type is required']
   },
   message_id: {
@@ -48,8 +48,8 @@ const notificationSchema = new mongoose.Schema({
 // Create index for better performance
 notificationSchema.index({ recipient_id: 1, is_read: 1, created_at: -1 });
 
-// Create TTL index for notification expiry (7 days)
-notificationSchema.index({ created_at: 1 }, { expireAfterSeconds: 604800 }); // 7 days
+// TTL index for notification expiry is managed by settingsService so it can
+// follow the workspace retention setting
 
 // Static method to create a notification
 notificationSchema.statics.createNotification = async function(data) {
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const reminderSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reminder user is required']
+  },
+  // Set for reminders about a message
+  message_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  channel_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    default: null
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reminder text cannot exceed 500 characters'],
+    default: ''
+  },
+  remind_at: {
+    type: Date,
+    required: [true, 'Reminder time is required']
+  },
+  // 'sending' marks a reminder claimed by the dispatcher
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'fired', 'completed'],
+    default: 'pending'
+  },
+  // Reserved when the dispatcher claims the reminder, before the notification is sent
+  notification_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  fired_at: {
+    type: Date,
+    default: null
+  },
+  completed_at: {
+    type: Date,
+    default: null
+  },
+  snooze_count: {
+    type: Number,
+    default: 0
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+reminderSchema.index({ status: 1, remind_at: 1 });
+reminderSchema.index({ user_id: 1, status: 1, remind_at: 1 });
+
+// Validate that the reminder has something to remind about
+reminderSchema.pre('validate', function(next) {
+  if (!this.message_id && !this.text) {
+    this.invalidate('text', 'Reminder text is required unless the reminder is for a message');
+  }
+  next();
+});
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+module.exports = Reminder;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const retentionLogSchema = new mongoose.Schema({
+  channel_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: [true, 'Channel is required']
+  },
+  // Name at purge time, kept in case the channel is renamed or deleted
+  channel_name: {
+    type: String,
+    required: true
+  },
+  retention_days: {
+    type: Number,
+    required: true
+  },
+  // Messages created before this instant were eligible for deletion
+  cutoff: {
+    type: Date,
+    required: true
+  },
+  deleted_count: {
+    type: Number,
+    default: 0
+  },
+  pinned_kept: {
+    type: Number,
+    default: 0
+  },
+  // Expired thread parents kept because replies inside the retention period still point to them
+  thread_parents_kept: {
+    type: Number,
+    default: 0
+  },
+  files_deleted: {
+    type: Number,
+    default: 0
+  },
+  // 'manual' runs are started by an admin
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggered_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create index for better performance
+retentionLogSchema.index({ created_at: -1 });
+retentionLogSchema.index({ channel_id: 1, created_at: -1 });
+
+const RetentionLog = mongoose.model('RetentionLog', retentionLogSchema);
+
+module.exports = RetentionLog;
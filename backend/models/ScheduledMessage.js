@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const scheduledMessageSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: [true, 'Message content is required']
+  },
+  author_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Message author is required']
+  },
+  channel_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: [true, 'Channel is required']
+  },
+  thread_parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  send_at: {
+    type: Date,
+    required: [true, 'Send time is required']
+  },
+  // 'sending' marks a message claimed by the dispatcher
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Reserved when the dispatcher claims the row, before the message is posted
+  message_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sent_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+scheduledMessageSchema.index({ status: 1, send_at: 1 });
+scheduledMessageSchema.index({ author_id: 1, send_at: 1 });
+
+const ScheduledMessage = mongoose.model('ScheduledMessage', scheduledMessageSchema);
+
+module.exports = ScheduledMessage;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+  // Only hashes of refresh tokens are stored; each refresh replaces the token
+  refresh_token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The token replaced by the last refresh, kept to detect reuse of a stolen token
+  previous_token_hash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  device_name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  user_agent: {
+    type: String,
+    default: null
+  },
+  ip_address: {
+    type: String,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Extended on every refresh, so idle sessions expire
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'revoked', 'token_reuse', 'password_reset', null],
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create indexes for better performance
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+sessionSchema.index({ previous_token_hash: 1 });
+
+// Remove sessions once they expire
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a refresh token
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a new refresh token
+sessionSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(48).toString('hex');
+  return { token, token_hash: this.hashToken(token) };
+};
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
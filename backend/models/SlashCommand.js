@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const slashCommandSchema = new mongoose.Schema({
+  // Command name without the leading slash
+  name: {
+    type: String,
+    required: [true, 'Command name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{0,31}$/, 'Command name must start with a letter and contain only letters, numbers, hyphens and underscores (max 32)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  usage_hint: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Usage hint cannot exceed 100 characters'],
+    default: ''
+  },
+  // Outgoing webhook the command is forwarded to
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Webhook URL must be an http or https URL']
+  },
+  // Sent with every request so the receiver can verify it came from this workspace
+  token: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  is_enabled: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+const SlashCommand = mongoose.model('SlashCommand', slashCommandSchema);
+
+module.exports = SlashCommand;
@@ -12,7 +12,8 @@ const userSchema = new mongoose.Schema({
   },
   password_hash: {
     type: String,
-    required: [true, 'Password is required'],
+    // Bot accounts cannot log in, so they have no password
+    required: [function() { return !this.is_bot; }, 'Password is required'],
     minlength: 8,
     select: false // Don't return password in queries by default
   },
@@ -33,6 +34,40 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'member'],
     default: 'member'
   },
+  time_zone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: function(value) {
+        try {
+          Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Please use a valid IANA time zone, e.g. Europe/Berlin'
+    }
+  },
+  // New registrations start unverified; accounts created before verification count as verified
+  email_verified: {
+    type: Boolean,
+    default: true
+  },
+  email_verified_at: {
+    type: Date,
+    default: null
+  },
+  is_bot: {
+    type: Boolean,
+    default: false
+  },
+  // User who created and manages a bot account
+  bot_owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   is_online: {
     type: Boolean,
     default: false
@@ -40,6 +75,11 @@ const userSchema = new mongoose.Schema({
   last_seen: {
     type: Date,
     default: Date.now
+  },
+  // When the last unread notification digest was emailed
+  last_digest_at: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: { 
@@ -71,7 +111,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 // Make first user an admin
 userSchema.pre('save', async function(next) {
   // Check if this is the first user
-  if (this.isNew) {
+  if (this.isNew && !this.is_bot) {
     const count = await mongoose.models.User.countDocuments();
     if (count === 0) {
       this.role = 'admin';
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const userTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token user is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: [true, 'Token purpose is required']
+  },
+  // Only a hash of the token is stored; the token itself is only sent by email
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  used_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create index for better performance
+userTokenSchema.index({ user_id: 1, purpose: 1 });
+
+// Remove tokens once they expire
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a token
+userTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue a token, replacing any unused token for the same purpose
+userTokenSchema.statics.issueToken = async function(userId, purpose, expiresInMinutes) {
+  await this.deleteMany({ user_id: userId, purpose, used_at: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user_id: userId,
+    purpose,
+    token_hash: this.hashToken(token),
+    expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Static method to use a token once, returning null if it is unknown, used or expired
+userTokenSchema.statics.consumeToken = async function(token, purpose) {
+  return await this.findOneAndUpdate(
+    {
+      token_hash: this.hashToken(token),
+      purpose,
+      used_at: null,
+      expires_at: { $gt: new Date() }
+    },
+    { used_at: Date.now() },
+    { new: true }
+  );
+};
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+module.exports = UserToken;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // 'dead' deliveries ran out of retries and form the dead-letter log
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_response_status: {
+    type: Number,
+    default: null
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  delivered_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Create index for better performance
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ subscription_id: 1, created_at: -1 });
+
+// Successful deliveries are kept for 30 days; dead letters are kept until removed
+webhookDeliverySchema.index(
+  { delivered_at: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'succeeded' } }
+);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const workspaceSettingsSchema = new mongoose.Schema({
+  // Single settings document per workspace
+  key: {
+    type: String,
+    default: 'workspace',
+    unique: true
+  },
+  max_public_channels: {
+    type: Number,
+    min: [1, 'At least 1 public channel must be allowed'],
+    default: 10
+  },
+  message_edit_window_minutes: {
+    type: Number,
+    min: [0, 'Edit window cannot be negative'],
+    default: 5
+  },
+  max_message_length: {
+    type: Number,
+    min: [1, 'Message length must be at least 1 character'],
+    max: [40000, 'Message length cannot exceed 40000 characters'],
+    default: 2000
+  },
+  max_upload_size_mb: {
+    type: Number,
+    min: [1, 'Upload size must be at least 1MB'],
+    max: [100, 'Upload size cannot exceed 100MB'],
+    default: 5
+  },
+  // Default for channels without their own policy, 0 keeps messages forever
+  message_retention_days: {
+    type: Number,
+    min: [0, 'Retention cannot be negative'],
+    default: 30
+  },
+  // 0 keeps notifications forever
+  notification_retention_days: {
+    type: Number,
+    min: [0, 'Retention cannot be negative'],
+    default: 7
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Settings are read on every limit check, so keep the latest copy in memory
+let cachedSettings = null;
+
+// Static method to get the workspace settings, creating defaults if needed
+workspaceSettingsSchema.statics.getSettings = async function() {
+  if (cachedSettings) return cachedSettings;
+
+  cachedSettings = await this.findOneAndUpdate(
+    { key: 'workspace' },
+    { $setOnInsert: { key: 'workspace' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  return cachedSettings;
+};
+
+// Static method to update the workspace settings
+workspaceSettingsSchema.statics.updateSettings = async function(updates, userId) {
+  await this.getSettings();
+
+  // Update a fresh copy so a failed validation leaves the cache untouched
+  const settings = await this.findOne({ key: 'workspace' });
+  Object.assign(settings, updates, { updated_by: userId });
+  await settings.save();
+
+  cachedSettings = settings;
+  return settings;
+};
+
+const WorkspaceSettings = mongoose.model('WorkspaceSettings', workspaceSettingsSchema);
+
+module.exports = WorkspaceSettings;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth');
+const adminController = require('../controllers/adminController');
+
+// Get AI quota rules
+router.get('/ai-quotas', protect, restrictTo('admin'), adminController.getAIQuotas);
+
+// Create or replace an AI quota rule
+router.post('/ai-quotas', protect, restrictTo('admin'), adminController.setAIQuota);
+
+// Update an AI quota rule
+router.patch('/ai-quotas/:id', protect, restrictTo('admin'), adminController.updateAIQuota);
+
+// Delete an AI quota rule
+router.delete('/ai-quotas/:id', protect, restrictTo('admin'), adminController.deleteAIQuota);
+
+// Get AI usage analytics
+router.get('/ai-usage', protect, restrictTo('admin'), adminController.getAIUsage);
+
+// Get workspace settings
+router.get('/settings', protect, restrictTo('admin'), adminController.getSettings);
+
+// Update workspace settings
+router.patch('/settings', protect, restrictTo('admin'), adminController.updateSettings);
+
+// Place or lift a legal hold on a channel
+router.put('/channels/:id/legal-hold', protect, restrictTo('admin'), adminController.setLegalHold);
+
+// Get the retention purge log
+router.get('/retention/logs', protect, restrictTo('admin'), adminController.getRetentionLogs);
+
+// Run the retention purge now
+router.post('/retention/purge', protect, restrictTo('admin'), adminController.runRetentionPurge);
+
+module.exports = router;
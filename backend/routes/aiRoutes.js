@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const aiController = require('../controllers/aiController');
+
+// Get the current user's AI quotas
+router.get('/usage/me', protect, aiController.getMyUsage);
+
+// Get smart reply suggestions for a message
+router.post('/messages/:id/replies', protect, aiController.getReplySuggestions);
+
+// Rewrite a message draft in a target tone
+router.post('/tone', protect, aiController.rewriteTone);
+
+// Summarize a channel over an optional time range
+router.get('/channels/:channelId/summary', protect, aiController.getChannelSummary);
+
+// Summarize a thread
+router.get('/threads/:messageId/summary', protect, aiController.getThreadSummary);
+
+// Answer a question from workspace history
+router.post('/orgbrain/ask', protect, aiController.askOrgBrain);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, protectUnverified, protectWithScope } = require('../middleware/auth');
 const authController = require('../controllers/authController');
 
 // Register a new user
@@ -9,7 +9,37 @@ router.post('/register', authController.register);
 // Login user
 router.post('/login', authController.login);
 
+// Email a password reset link
+router.post('/forgot-password', authController.forgotPassword);
+
+// Set a new password with a reset token
+router.post('/reset-password', authController.resetPassword);
+
+// Confirm an email address
+router.post('/verify-email', authController.verifyEmail);
+
+// Send a new verification email
+router.post('/resend-verification', protectUnverified, authController.resendVerification);
+
+// Exchange a refresh token for new tokens
+router.post('/refresh', authController.refresh);
+
+// Log out of the current session
+router.post('/logout', protectUnverified, authController.logout);
+
+// Get active sessions
+router.get('/sessions', protect, authController.getSessions);
+
+// Sign out every other device
+router.delete('/sessions', protectUnverified, authController.revokeOtherSessions);
+
+// Sign out one device
+router.delete('/sessions/:id', protectUnverified, authController.revokeSession);
+
 // Get current user
-router.get('/me', protect, authController.getCurrentUser);
+router.get('/me', protectWithScope('users:read'), authController.getCurrentUser);
+
+// Update current user profile
+router.patch('/me', protectUnverified, authController.updateCurrentUser);
 
 module.exports = router; 
\ No newline at end of file
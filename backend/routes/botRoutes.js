@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth');
+const tokenController = require('../controllers/tokenController');
+
+// Get bot accounts
+router.get('/', protect, restrictTo('admin'), tokenController.getBots);
+
+// Create a bot account
+router.post('/', protect, restrictTo('admin'), tokenController.createBot);
+
+// Deactivate a bot by revoking its tokens
+router.delete('/:id', protect, restrictTo('admin'), tokenController.deactivateBot);
+
+// Get a bot's tokens
+router.get('/:id/tokens', protect, restrictTo('admin'), tokenController.getBotTokens);
+
+// Create a bot token
+router.post('/:id/tokens', protect, restrictTo('admin'), tokenController.createBotToken);
+
+// Revoke a bot token
+router.delete('/:id/tokens/:tokenId', protect, restrictTo('admin'), tokenController.revokeBotToken);
+
+module.exports = router;
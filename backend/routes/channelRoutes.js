@@ -1,30 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const { protect, restrictTo } = require('../middleware/auth');
+const { protect, protectWithScope, restrictTo } = require('../middleware/auth');
 const channelController = require('../controllers/channelController');
+const webhookController = require('../controllers/webhookController');
 
 // Get all channels
-router.get('/', protect, channelController.getAllChannels);
+router.get('/', protectWithScope('channels:read'), channelController.getAllChannels);
 
 // Get a single channel
-router.get('/:id', protect, channelController.getChannel);
+router.get('/:id', protectWithScope('channels:read'), channelController.getChannel);
 
 // Create a new channel
-router.post('/', protect, channelController.createChannel);
+router.post('/', protectWithScope('channels:write'), channelController.createChannel);
+
+// Update channel topic and description
+router.patch('/:id', protect, channelController.updateChannel);
+
+// Rename a channel (owner or moderator)
+router.post('/:id/rename', protect, channelController.renameChannel);
+
+// Archive a channel (owner or moderator)
+router.post('/:id/archive', protect, channelController.archiveChannel);
+
+// Unarchive a channel (owner or moderator)
+router.post('/:id/unarchive', protect, channelController.unarchiveChannel);
+
+// Get message retention policy
+router.get('/:id/retention', protect, channelController.getRetention);
+
+// Set message retention policy (owner only)
+router.patch('/:id/retention', protect, channelController.updateRetention);
 
 // Join a channel
-router.post('/:id/join', protect, channelController.joinChannel);
+router.post('/:id/join', protectWithScope('channels:write'), channelController.joinChannel);
 
 // Leave a channel
-router.post('/:id/leave', protect, channelController.leaveChannel);
+router.post('/:id/leave', protectWithScope('channels:write'), channelController.leaveChannel);
 
 // Delete a channel (admin only)
 router.delete('/:id', protect, restrictTo('admin'), channelController.deleteChannel);
 
 // Get channel members
-router.get('/:id/members', protect, channelController.getChannelMembers);
+router.get('/:id/members', protectWithScope('channels:read'), channelController.getChannelMembers);
+
+// Invite a user to a channel
+router.post('/:id/invite', protectWithScope('channels:write'), channelController.inviteToChannel);
+
+// Request access to a private channel
+router.post('/:id/requests', protect, channelController.requestAccess);
+
+// Get pending access requests (owner only)
+router.get('/:id/requests', protect, channelController.getAccessRequests);
+
+// Approve an access request (owner only)
+router.post('/:id/requests/:requestId/approve', protect, channelController.approveAccessRequest);
+
+// Deny an access request (owner only)
+router.post('/:id/requests/:requestId/deny', protect, channelController.denyAccessRequest);
+
+// Remove a member (owner or moderator)
+router.post('/:id/kick', protect, channelController.kickMember);
+
+// Mute a member (owner or moderator)
+router.post('/:id/mute', protect, channelController.muteMember);
+
+// Unmute a member (owner or moderator)
+router.post('/:id/unmute', protect, channelController.unmuteMember);
+
+// Set a member's channel role (owner only)
+router.patch('/:id/roles', protect, channelController.setMemberRole);
+
+// Get incoming webhooks (owner or admin)
+router.get('/:id/webhooks', protect, webhookController.getWebhooks);
+
+// Create an incoming webhook (owner or admin)
+router.post('/:id/webhooks', protect, webhookController.createWebhook);
+
+// Revoke an incoming webhook (owner or admin)
+router.delete('/:id/webhooks/:webhookId', protect, webhookController.revokeWebhook);
 
 // Create or get DM channel
 router.post('/dm', protect, channelController.createDmChannel);
 
+// Add people to a DM as a new conversation
+router.post('/:id/dm-members', protect, channelController.addDmMembers);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth');
+const commandController = require('../controllers/commandController');
+
+// Get the slash commands available to users
+router.get('/', protect, commandController.getCommands);
+
+// Get custom commands with their webhook settings (admin only)
+router.get('/custom', protect, restrictTo('admin'), commandController.getCustomCommands);
+
+// Register a custom command (admin only)
+router.post('/custom', protect, restrictTo('admin'), commandController.createCustomCommand);
+
+// Update a custom command (admin only)
+router.patch('/custom/:id', protect, restrictTo('admin'), commandController.updateCustomCommand);
+
+// Delete a custom command (admin only)
+router.delete('/custom/:id', protect, restrictTo('admin'), commandController.deleteCustomCommand);
+
+module.exports = router;
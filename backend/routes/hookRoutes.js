@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+// Post a message through an incoming webhook (authenticated by the token)
+router.post('/:token', webhookController.receiveWebhook);
+
+module.exports = router;
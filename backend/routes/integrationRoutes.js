@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../middleware/auth');
+const integrationController = require('../controllers/integrationController');
+
+// Get integrations
+router.get('/', protect, restrictTo('admin'), integrationController.getIntegrations);
+
+// Register an integration
+router.post('/', protect, restrictTo('admin'), integrationController.createIntegration);
+
+// Get deliveries that ran out of retries
+router.get('/dead-letters', protect, restrictTo('admin'), integrationController.getDeadLetters);
+
+// Update an integration
+router.patch('/:id', protect, restrictTo('admin'), integrationController.updateIntegration);
+
+// Delete an integration
+router.delete('/:id', protect, restrictTo('admin'), integrationController.deleteIntegration);
+
+// Replace an integration's signing secret
+router.post('/:id/rotate-secret', protect, restrictTo('admin'), integrationController.rotateSecret);
+
+// Send a ping event to an integration
+router.post('/:id/ping', protect, restrictTo('admin'), integrationController.pingIntegration);
+
+// Get an integration's delivery history
+router.get('/:id/deliveries', protect, restrictTo('admin'), integrationController.getDeliveries);
+
+// Send a dead delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', protect, restrictTo('admin'), integrationController.redeliver);
+
+module.exports = router;
@@ -1,34 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-const { upload } = require('../middleware/upload');
+const { protect, protectWithScope } = require('../middleware/auth');
+const { upload, handleMulterError } = require('../middleware/upload');
 const messageController = require('../controllers/messageController');
+const scheduledMessageController = require('../controllers/scheduledMessageController');
 
 // Get messages for a channel
-router.get('/channel/:channelId', protect, messageController.getChannelMessages);
+router.get('/channel/:channelId', protectWithScope('messages:read'), messageController.getChannelMessages);
 
 // Get thread messages
-router.get('/thread/:messageId', protect, messageController.getThreadMessages);
+router.get('/thread/:messageId', protectWithScope('messages:read'), messageController.getThreadMessages);
+
+// Get scheduled messages
+router.get('/scheduled', protect, scheduledMessageController.getScheduledMessages);
+
+// Schedule a message to be sent later
+router.post('/scheduled', protect, scheduledMessageController.createScheduledMessage);
+
+// Edit a pending scheduled message
+router.patch('/scheduled/:id', protect, scheduledMessageController.updateScheduledMessage);
+
+// Cancel a pending scheduled message
+router.delete('/scheduled/:id', protect, scheduledMessageController.cancelScheduledMessage);
 
 // Create a new message
-router.post('/', protect, upload.single('file'), messageController.createMessage);
+router.post('/', protectWithScope('messages:write'), upload.single('file'), handleMulterError, messageController.createMessage);
 
 // Edit a message
-router.patch('/:id', protect, messageController.editMessage);
+router.patch('/:id', protectWithScope('messages:write'), messageController.editMessage);
 
 // Delete a message
-router.delete('/:id', protect, messageController.deleteMessage);
+router.delete('/:id', protectWithScope('messages:write'), messageController.deleteMessage);
+
+// Get message edit history (author or admin)
+router.get('/:id/history', protect, messageController.getMessageHistory);
 
 // Add a reaction to a message
-router.post('/:id/reactions', protect, messageController.addReaction);
+router.post('/:id/reactions', protectWithScope('reactions:write'), messageController.addReaction);
 
 // Remove a reaction from a message
-router.delete('/:id/reactions/:emoji', protect, messageController.removeReaction);
+router.delete('/:id/reactions/:emoji', protectWithScope('reactions:write'), messageController.removeReaction);
 
 // Pin a message
-router.post('/:id/pin', protect, messageController.pinMessage);
+router.post('/:id/pin', protectWithScope('messages:write'), messageController.pinMessage);
 
 // Unpin a message
-router.post('/:id/unpin', protect, messageController.unpinMessage);
+router.post('/:id/unpin', protectWithScope('messages:write'), messageController.unpinMessage);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const reminderController = require('../controllers/reminderController');
+
+// Get the current user's reminders
+router.get('/', protect, reminderController.getReminders);
+
+// Create a reminder
+router.post('/', protect, reminderController.createReminder);
+
+// Snooze a reminder
+router.post('/:id/snooze', protect, reminderController.snoozeReminder);
+
+// Mark a reminder as completed
+router.post('/:id/complete', protect, reminderController.completeReminder);
+
+// Delete a reminder
+router.delete('/:id', protect, reminderController.deleteReminder);
+
+module.exports = router;
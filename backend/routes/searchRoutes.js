@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { protect, protectWithScope } = require('../middleware/auth');
+const searchController = require('../controllers/searchController');
+
+// Full-text search over messages with filters
+router.get('/messages', protectWithScope('messages:read'), searchController.searchMessages);
+
+// Semantic search over messages
+router.get('/semantic', protect, searchController.semanticSearch);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const tokenController = require('../controllers/tokenController');
+
+// Get personal API tokens
+router.get('/', protect, tokenController.getMyTokens);
+
+// Create a personal API token
+router.post('/', protect, tokenController.createMyToken);
+
+// Revoke a personal API token
+router.delete('/:id', protect, tokenController.revokeMyToken);
+
+module.exports = router;
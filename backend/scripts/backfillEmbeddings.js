@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables before loading services that read them
+dotenv.config();
+
+const connectDB = require('../config/database');
+const { backfillEmbeddings } = require('../services/embeddingService');
+
+/**
+ * Backfill embeddings for existing messages
+ * Usage: npm run backfill:embeddings [-- --batch-size=100]
+ */
+const run = async () => {
+  const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+  const batchSize = batchArg ? parseInt(batchArg.split('=')[1]) : 100;
+
+  await connectDB();
+
+  try {
+    const total = await backfillEmbeddings({
+      batchSize,
+      onProgress: count => console.log(`Indexed ${count} messages...`)
+    });
+    console.log(`Backfill complete: ${total} messages indexed`);
+  } catch (error) {
+    console.error('Error backfilling embeddings:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,38 @@
+/**
+ * Local receiver for testing outgoing webhooks
+ * Logs each delivery and checks its signature.
+ *
+ * Usage: WEBHOOK_SECRET=<secret> node scripts/webhookReceiver.js [port]
+ * Set WEBHOOK_RECEIVER_FAIL=1 to answer with 500 and exercise retries.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 4545;
+const secret = process.env.WEBHOOK_SECRET;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = req.headers['x-webhook-signature'] || '';
+
+    let verified = 'not checked (WEBHOOK_SECRET not set)';
+    if (secret) {
+      const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+      verified = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? 'valid' : 'INVALID';
+    }
+
+    console.log(`[${new Date().toISOString()}] ${req.headers['x-webhook-event']} delivery ${req.headers['x-webhook-delivery']} (signature ${verified})`);
+    console.log(body);
+
+    res.statusCode = process.env.WEBHOOK_RECEIVER_FAIL ? 500 : 200;
+    res.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,90 @@
+/**
+ * OpenAI provider using the REST API directly
+ */
+
+const API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+
+/**
+ * Send a request to the OpenAI API
+ * @param {String} path - API path
+ * @param {Object} body - Request body
+ * @returns {Promise} Promise resolving to the parsed JSON response
+ */
+const request = async (path, body) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+  };
+
+  if (process.env.OPENAI_ORG_ID) {
+    headers['OpenAI-Organization'] = process.env.OPENAI_ORG_ID;
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    const message = data.error ? data.error.message : response.statusText;
+    throw new Error(`OpenAI request failed: ${message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Generate a chat completion
+ * @param {Object} options - Completion options
+ * @param {Array} options.messages - Chat messages ({ role, content })
+ * @param {Number} options.temperature - Sampling temperature
+ * @param {Number} options.maxTokens - Maximum tokens to generate
+ * @returns {Promise} Promise resolving to { content, usage, model }
+ */
+const chat = async ({ messages, temperature = 0.7, maxTokens = 500 }) => {
+  const data = await request('/chat/completions', {
+    model: process.env.AI_CHAT_MODEL || 'gpt-4o-mini',
+    messages,
+    temperature,
+    max_tokens: maxTokens
+  });
+
+  return {
+    content: data.choices[0].message.content.trim(),
+    model: data.model,
+    usage: {
+      prompt_tokens: data.usage.prompt_tokens,
+      completion_tokens: data.usage.completion_tokens
+    }
+  };
+};
+
+/**
+ * Generate embeddings
+ * @param {Array} inputs - Texts to embed
+ * @returns {Promise} Promise resolving to { embeddings, usage, model }
+ */
+const embed = async (inputs) => {
+  const data = await request('/embeddings', {
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    input: inputs
+  });
+
+  return {
+    embeddings: data.data.map(item => item.embedding),
+    model: data.model,
+    usage: {
+      prompt_tokens: data.usage.prompt_tokens,
+      completion_tokens: 0
+    }
+  };
+};
+
+module.exports = {
+  name: 'openai',
+  chat,
+  embed
+};
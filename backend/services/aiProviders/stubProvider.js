@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+
+/**
+ * Deterministic offline AI provider
+ * Note: Never calls the network. The same input always produces the same output,
+ * so every AI feature can be developed and tested locally.
+ */
+
+const EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * Hash a string to a 32-bit unsigned integer
+ * @param {String} value - Value to hash
+ * @returns {Number} Hash value
+ */
+const hashString = (value) => {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+};
+
+/**
+ * Rough token count used for usage reporting
+ * @param {String} text - Text to measure
+ * @returns {Number} Approximate token count
+ */
+const countTokens = (text) => {
+  return Math.ceil((text || '').length / 4);
+};
+
+/**
+ * Split text into lowercase word tokens
+ * @param {String} text - Text to tokenize
+ * @returns {Array} Word tokens
+ */
+const tokenize = (text) => {
+  return (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+};
+
+/**
+ * Get the content of the last user message
+ * @param {Array} messages - Chat messages
+ * @returns {String} Last user message content
+ */
+const lastUserContent = (messages) => {
+  const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+  return lastUserMessage ? lastUserMessage.content : '';
+};
+
+/**
+ * Pick an item deterministically from a list
+ * @param {Array} items - Items to pick from
+ * @param {String} seed - Seed text
+ * @returns {*} Picked item
+ */
+const pick = (items, seed) => items[hashString(seed) % items.length];
+
+const replyTemplates = {
+  question: [
+    ['Good question, let me check and get back to you.', 'I think so, but let me confirm first.', 'Not sure yet. Can you share a bit more context?'],
+    ['Let me look into it and follow up shortly.', 'Yes, that should work.', 'Could you clarify what you mean?']
+  ],
+  statement: [
+    ['Thanks for the update!', 'Sounds good to me.', 'Got it, I will take a look.'],
+    ['Thanks, noted.', 'Makes sense, thanks for sharing.', 'Great, let me know if you need anything from me.']
+  ]
+};
+
+// Simple rule-based rewrites per target tone
+const toneRewriters = {
+  formal: (text) => {
+    const formal = text
+      .replace(/\bhey\b|\bhi\b/gi, 'Hello')
+      .replace(/\bthanks\b|\bthx\b/gi, 'thank you')
+      .replace(/\bcan't\b/gi, 'cannot')
+      .replace(/\bwon't\b/gi, 'will not')
+      .replace(/\bdon't\b/gi, 'do not')
+      .replace(/\bgonna\b/gi, 'going to')
+      .replace(/\bwanna\b/gi, 'want to')
+      .replace(/\byeah\b/gi, 'yes');
+    const capitalized = formal.charAt(0).toUpperCase() + formal.slice(1);
+    return /[.!?]$/.test(capitalized) ? capitalized : `${capitalized}.`;
+  },
+  friendly: (text) => `Hi there! ${text} Thanks so much!`,
+  concise: (text) => {
+    return text
+      .replace(/\b(just|really|very|actually|basically|literally|i think|kind of|sort of)\b\s*/gi, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+  apologetic: (text) => `Sorry about that. ${text}`
+};
+
+const DECISION_PATTERN = /\b(decided|agreed|approved|let's go with|we will go with|final decision)\b/i;
+const ACTION_PATTERN = /\b(todo|action item|i will|i'll|need to|needs to|please|can you|by (monday|tuesday|wednesday|thursday|friday|tomorrow|eod))\b/i;
+
+/**
+ * Format summary sections the way the summary prompt requests
+ * @param {String} summary - Summary paragraph
+ * @param {Array} decisions - Decisions
+ * @param {Array} actionItems - Action items
+ * @returns {String} Formatted summary
+ */
+const formatSummary = (summary, decisions, actionItems) => {
+  const list = items => (items.length > 0 ? items : ['None']).map(item => `- ${item}`).join('\n');
+  return `Summary:\n${summary}\nDecisions:\n${list(decisions)}\nAction items:\n${list(actionItems)}`;
+};
+
+/**
+ * Extract the list under a heading of a formatted summary
+ * @param {String} text - Formatted summary
+ * @param {String} heading - Section heading
+ * @returns {Array} Items in the section
+ */
+const sectionItems = (text, heading) => {
+  const match = text.match(new RegExp(`${heading}:\\n((?:- .*(?:\\n|$))*)`));
+  if (!match) return [];
+  return match[1]
+    .split('\n')
+    .map(line => line.replace(/^- /, '').trim())
+    .filter(item => item !== '' && item !== 'None');
+};
+
+// Task handlers keyed by the `task` option passed to chat()
+const taskHandlers = {
+  default: (messages) => {
+    return `Stub response: ${lastUserContent(messages).slice(0, 200)}`;
+  },
+
+  // Three reply suggestions, one per line
+  reply: (messages) => {
+    const prompt = lastUserContent(messages);
+    const kind = prompt.includes('?') ? 'question' : 'statement';
+    return pick(replyTemplates[kind], prompt).join('\n');
+  },
+
+  // Prompt format: "Tone: <tone>\nDraft:\n<text>"
+  tone: (messages) => {
+    const match = lastUserContent(messages).match(/^Tone: (\w+)\nDraft:\n([\s\S]*)$/);
+    if (!match) return lastUserContent(messages);
+
+    const rewrite = toneRewriters[match[1]] || (text => text);
+    return rewrite(match[2].trim());
+  },
+
+  // Extractive summary of a transcript, or a merge of partial summaries
+  summary: (messages) => {
+    const prompt = lastUserContent(messages);
+
+    if (prompt.startsWith('Partial summaries:\n')) {
+      const partials = prompt.slice('Partial summaries:\n'.length).split('\n\n---\n\n');
+      const summaries = partials.map(part => (part.match(/^Summary:\n(.*)$/m) || [])[1] || '');
+      return formatSummary(
+        summaries.filter(Boolean).join(' '),
+        partials.flatMap(part => sectionItems(part, 'Decisions')),
+        partials.flatMap(part => sectionItems(part, 'Action items'))
+      );
+    }
+
+    const lines = prompt.replace(/^Transcript:\n/, '').split('\n');
+    const entries = lines
+      .map(line => line.match(/^(?:\[[^\]]*\] )?([^:]+): (.*)$/))
+      .filter(Boolean)
+      .map(match => ({ author: match[1], content: match[2] }));
+
+    const authors = [...new Set(entries.map(entry => entry.author))];
+    const opener = entries[0] ? `${entries[0].author} opened with "${entries[0].content.slice(0, 100)}".` : '';
+
+    return formatSummary(
+      `${entries.length} messages from ${authors.join(', ')}. ${opener}`.trim(),
+      entries.filter(entry => DECISION_PATTERN.test(entry.content)).map(entry => `${entry.author}: ${entry.content}`),
+      entries.filter(entry => ACTION_PATTERN.test(entry.content)).map(entry => `${entry.author}: ${entry.content}`)
+    );
+  },
+
+  // Prompt format: "Question: <question>\n\nSources:\n[1] <source>\n..."
+  orgbrain: (messages) => {
+    const prompt = lastUserContent(messages);
+    const sources = prompt.split('\n').filter(line => /^\[\d+\] /.test(line));
+
+    if (sources.length === 0) {
+      return 'I could not find anything about that in your channels.';
+    }
+
+    const top = sources.slice(0, 2);
+    const refs = top.map(source => source.match(/^\[\d+\]/)[0]).join(' ');
+    const excerpt = top[0].replace(/^\[\d+\] /, '').slice(0, 300);
+    return `Based on ${refs}: ${excerpt}`;
+  }
+};
+
+/**
+ * Generate a chat completion
+ * @param {Object} options - Completion options
+ * @param {Array} options.messages - Chat messages ({ role, content })
+ * @param {String} options.task - Feature-specific task name
+ * @returns {Promise} Promise resolving to { content, usage, model }
+ */
+const chat = async ({ messages, task = 'default' }) => {
+  const handler = taskHandlers[task] || taskHandlers.default;
+  const content = handler(messages);
+  const promptText = messages.map(m => m.content).join('\n');
+
+  return {
+    content,
+    model: 'stub',
+    usage: {
+      prompt_tokens: countTokens(promptText),
+      completion_tokens: countTokens(content)
+    }
+  };
+};
+
+/**
+ * Generate embeddings using a hashed bag-of-words vector
+ * @param {Array} inputs - Texts to embed
+ * @returns {Promise} Promise resolving to { embeddings, usage, model }
+ */
+const embed = async (inputs) => {
+  const embeddings = inputs.map((text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+    tokenize(text).forEach((token) => {
+      const hash = hashString(token);
+      const sign = hash & 1 ? 1 : -1;
+      vector[hash % EMBEDDING_DIMENSIONS] += sign;
+    });
+
+    // Normalize to unit length so cosine similarity is a dot product
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  });
+
+  return {
+    embeddings,
+    model: 'stub',
+    usage: {
+      prompt_tokens: inputs.reduce((sum, text) => sum + countTokens(text), 0),
+      completion_tokens: 0
+    }
+  };
+};
+
+module.exports = {
+  name: 'stub',
+  chat,
+  embed,
+  taskHandlers,
+  tokenize
+};
@@ -0,0 +1,346 @@
+const AIUsage = require('../models/AIUsage');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+const { AppError } = require('../middleware/errorHandler');
+const quotaService = require('./quotaService');
+
+// Target tones supported by rewriteTone
+const TONES = ['formal', 'friendly', 'concise', 'apologetic'];
+
+// Maximum characters of transcript sent to the provider in one summary request
+const SUMMARY_CHUNK_CHARS = parseInt(process.env.AI_SUMMARY_CHUNK_CHARS) || 8000;
+
+// Separator between partial summaries in a reduce step
+const SUMMARY_SEPARATOR = '\n\n---\n\n';
+
+const SUMMARY_FORMAT = 'Respond using exactly this format:\n' +
+  'Summary:\n<short paragraph>\nDecisions:\n- <decision>\nAction items:\n- <owner>: <action item>\n' +
+  'Write "- None" under a heading when there is nothing to list.';
+
+// Available AI backends, selected with the AI_PROVIDER env value
+const providers = {
+  stub: () => require('./aiProviders/stubProvider'),
+  openai: () => require('./aiProviders/openaiProvider')
+};
+
+/**
+ * Get the configured AI provider
+ * @returns {Object} Provider implementing chat() and embed()
+ */
+const getProvider = () => {
+  const name = (process.env.AI_PROVIDER || 'stub').toLowerCase();
+  const loadProvider = providers[name];
+
+  if (!loadProvider) {
+    throw new AppError(`Unknown AI provider: ${name}`, 500);
+  }
+
+  return loadProvider();
+};
+
+/**
+ * Ensure the user is within their AI quotas for a feature
+ * @param {String} userId - User ID
+ * @param {String} featureType - AIUsage feature type
+ */
+const checkUsageLimit = async (userId, featureType) => {
+  await quotaService.checkQuota(userId, featureType);
+};
+
+/**
+ * Wrap a provider so token usage across all of its calls is accumulated
+ * @param {Object} provider - AI provider
+ * @param {Object} totals - Object receiving prompt_tokens and completion_tokens
+ * @returns {Object} Metered provider
+ */
+const meterProvider = (provider, totals) => {
+  const record = (result) => {
+    if (result && result.usage) {
+      totals.prompt_tokens += result.usage.prompt_tokens || 0;
+      totals.completion_tokens += result.usage.completion_tokens || 0;
+    }
+    return result;
+  };
+
+  return {
+    name: provider.name,
+    chat: async options => record(await provider.chat(options)),
+    embed: async inputs => record(await provider.embed(inputs))
+  };
+};
+
+/**
+ * Run a provider call with usage limiting and tracking
+ * Latency, token counts and provider errors are recorded for usage reports.
+ * @param {String} userId - User ID
+ * @param {String} featureType - AIUsage feature type
+ * @param {Function} call - Function receiving the provider
+ * @returns {Promise} Promise resolving to the provider result
+ */
+const runWithUsage = async (userId, featureType, call) => {
+  await checkUsageLimit(userId, featureType);
+
+  const provider = getProvider();
+  const metrics = { provider: provider.name, prompt_tokens: 0, completion_tokens: 0 };
+  const startedAt = Date.now();
+
+  let result;
+  try {
+    result = await call(meterProvider(provider, metrics));
+  } catch (error) {
+    metrics.latency_ms = Date.now() - startedAt;
+    metrics.error = error.message;
+    await AIUsage.trackUsage(userId, featureType, metrics);
+
+    if (error instanceof AppError) throw error;
+    throw new AppError(`AI provider error: ${error.message}`, 502);
+  }
+
+  metrics.latency_ms = Date.now() - startedAt;
+  await AIUsage.trackUsage(userId, featureType, metrics);
+  return result;
+};
+
+/**
+ * Generate a chat completion for a user
+ * @param {String} userId - User ID
+ * @param {String} featureType - AIUsage feature type
+ * @param {Object} options - Completion options
+ * @param {Array} options.messages - Chat messages ({ role, content })
+ * @param {String} options.task - Task name used by the stub provider
+ * @param {Number} options.temperature - Sampling temperature
+ * @param {Number} options.maxTokens - Maximum tokens to generate
+ * @returns {Promise} Promise resolving to { content, usage, model }
+ */
+const complete = async (userId, featureType, options) => {
+  return runWithUsage(userId, featureType, provider => provider.chat(options));
+};
+
+/**
+ * Generate embeddings for a user
+ * @param {String} userId - User ID
+ * @param {String} featureType - AIUsage feature type
+ * @param {Array} inputs - Texts to embed
+ * @returns {Promise} Promise resolving to { embeddings, usage, model }
+ */
+const embed = async (userId, featureType, inputs) => {
+  return runWithUsage(userId, featureType, provider => provider.embed(inputs));
+};
+
+/**
+ * Rewrite a message draft in a target tone
+ * @param {String} userId - User ID
+ * @param {String} content - Draft content
+ * @param {String} tone - Target tone (formal, friendly, concise, apologetic)
+ * @returns {Promise} Promise resolving to the rewritten text
+ */
+const rewriteTone = async (userId, content, tone) => {
+  if (!content || content.trim() === '') {
+    throw new AppError('Draft content is required', 400);
+  }
+
+  // Same limit createMessage and editMessage enforce
+  const { max_message_length: maxLength } = await WorkspaceSettings.getSettings();
+  if (content.length > maxLength) {
+    throw new AppError(`Message cannot exceed ${maxLength} characters`, 400);
+  }
+
+  if (!TONES.includes(tone)) {
+    throw new AppError(`Tone must be one of: ${TONES.join(', ')}`, 400);
+  }
+
+  const completion = await complete(userId, 'tone', {
+    task: 'tone',
+    temperature: 0.3,
+    maxTokens: 800,
+    messages: [
+      {
+        role: 'system',
+        content: 'Rewrite the draft chat message in the requested tone. Keep its meaning, ' +
+          `keep it under ${maxLength} characters and return only the rewritten message.`
+      },
+      {
+        role: 'user',
+        content: `Tone: ${tone}\nDraft:\n${content}`
+      }
+    ]
+  });
+
+  // The result must still be postable as a message
+  return completion.content.slice(0, maxLength);
+};
+
+/**
+ * Group lines into chunks that stay within a character budget
+ * @param {Array} lines - Lines of text
+ * @param {Number} maxChars - Maximum characters per chunk
+ * @returns {Array} Chunks of lines
+ */
+const chunkLines = (lines, maxChars) => {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  lines.forEach((line) => {
+    if (current.length > 0 && size + line.length > maxChars) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(line);
+    size += line.length + 1;
+  });
+
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Parse a formatted summary into its sections
+ * @param {String} text - Provider output
+ * @returns {Object} { summary, decisions, action_items }
+ */
+const parseSummary = (text) => {
+  const sections = { summary: [], decisions: [], action_items: [] };
+  let current = 'summary';
+
+  text.split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (/^summary:?$/i.test(trimmed)) current = 'summary';
+    else if (/^decisions:?$/i.test(trimmed)) current = 'decisions';
+    else if (/^action items:?$/i.test(trimmed)) current = 'action_items';
+    else if (trimmed !== '') sections[current].push(trimmed);
+  });
+
+  const listItems = items => items
+    .map(item => item.replace(/^[-*•]\s*/, ''))
+    .filter(item => item !== '' && item.toLowerCase() !== 'none');
+
+  return {
+    summary: sections.summary.join(' '),
+    decisions: listItems(sections.decisions),
+    action_items: listItems(sections.action_items)
+  };
+};
+
+/**
+ * Summarize a conversation transcript
+ * Long transcripts are split into chunks that are summarized separately (map)
+ * and then merged (reduce) until a single summary remains.
+ * @param {String} userId - User ID
+ * @param {Array} lines - Transcript lines ("Author: content")
+ * @param {String} subject - What is being summarized, used in prompts
+ * @returns {Promise} Promise resolving to { summary, decisions, action_items }
+ */
+const summarize = async (userId, lines, subject) => {
+  return runWithUsage(userId, 'summary', async (provider) => {
+    let chunks = chunkLines(lines, SUMMARY_CHUNK_CHARS);
+    let isTranscript = true;
+
+    while (true) {
+      const summaries = [];
+
+      // Run sequentially to stay within provider rate limits
+      for (const chunk of chunks) {
+        const instructions = isTranscript
+          ? `Summarize this part of ${subject}. Attribute points to the people who made them.`
+          : `Combine these partial summaries of ${subject} into one. Keep attributions and remove duplicates.`;
+        const input = isTranscript
+          ? `Transcript:\n${chunk.join('\n')}`
+          : `Partial summaries:\n${chunk.join(SUMMARY_SEPARATOR)}`;
+
+        const completion = await provider.chat({
+          task: 'summary',
+          temperature: 0.2,
+          maxTokens: 600,
+          messages: [
+            { role: 'system', content: `${instructions} ${SUMMARY_FORMAT}` },
+            { role: 'user', content: input }
+          ]
+        });
+        summaries.push(completion.content);
+      }
+
+      if (summaries.length === 1) {
+        return parseSummary(summaries[0]);
+      }
+
+      // Reduce step; merge everything at once if chunking no longer shrinks the input
+      const nextChunks = chunkLines(summaries, SUMMARY_CHUNK_CHARS);
+      chunks = nextChunks.length < summaries.length ? nextChunks : [summaries];
+      isTranscript = false;
+    }
+  });
+};
+
+/**
+ * Summarize messages, skipping the provider when there is nothing to summarize
+ * @param {String} userId - User ID
+ * @param {Array} messages - Messages with populated authors, in chronological order
+ * @param {String} subject - What is being summarized
+ * @returns {Promise} Promise resolving to { summary, decisions, action_items }
+ */
+const summarizeMessages = async (userId, messages, subject) => {
+  // Format as "[time] Author: content" lines
+  const lines = messages
+    .filter(message => message.content && message.content.trim() !== '')
+    .map(message => {
+      const author = message.author_id ? message.author_id.display_name : 'Unknown';
+      return `[${message.created_at.toISOString()}] ${author}: ${message.content.replace(/\n/g, ' ')}`;
+    });
+
+  if (lines.length === 0) {
+    return { summary: 'No messages to summarize.', decisions: [], action_items: [] };
+  }
+
+  return summarize(userId, lines, subject);
+};
+
+/**
+ * Answer a question using only the provided source messages
+ * @param {String} userId - User ID
+ * @param {String} question - Natural-language question
+ * @param {Array} sources - Source lines, cited by their 1-based position
+ * @returns {Promise} Promise resolving to { answer, cited } where cited holds source indexes
+ */
+const answerQuestion = async (userId, question, sources) => {
+  const numbered = sources.map((source, index) => `[${index + 1}] ${source}`).join('\n');
+
+  const completion = await complete(userId, 'orgbrain', {
+    task: 'orgbrain',
+    temperature: 0.2,
+    maxTokens: 500,
+    messages: [
+      {
+        role: 'system',
+        content: 'Answer the question using only the numbered workspace messages provided. ' +
+          'Cite every message you rely on with its number in square brackets, e.g. [2]. ' +
+          'If the messages do not contain the answer, say so.'
+      },
+      {
+        role: 'user',
+        content: `Question: ${question}\n\nSources:\n${numbered || '(none)'}`
+      }
+    ]
+  });
+
+  // Collect the source numbers the answer refers to
+  const cited = [...new Set(
+    (completion.content.match(/\[(\d+)\]/g) || [])
+      .map(ref => parseInt(ref.slice(1, -1)) - 1)
+      .filter(index => index >= 0 && index < sources.length)
+  )];
+
+  return { answer: completion.content, cited };
+};
+
+module.exports = {
+  TONES,
+  getProvider,
+  checkUsageLimit,
+  complete,
+  embed,
+  rewriteTone,
+  summarize,
+  summarizeMessages,
+  answerQuestion
+};
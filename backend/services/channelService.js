@@ -0,0 +1,207 @@
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { sendNotification } = require('./notificationService');
+const eventService = require('./eventService');
+
+/**
+ * Post a system message about a channel change and broadcast the updated channel
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} channel - Updated channel
+ * @param {Object} user - User who made the change
+ * @param {String} content - System message text
+ */
+const announceChannelUpdate = async (io, channel, user, content) => {
+  const message = await Message.create({
+    content,
+    author_id: user._id,
+    channel_id: channel._id,
+    is_system: true
+  });
+  await message.populate('author_id', 'display_name email');
+
+  if (io) {
+    io.to(`channel:${channel._id}`).emit('message:new', message);
+    io.to(`channel:${channel._id}`).emit('channel:updated', channel);
+  }
+};
+
+/**
+ * Add a user's connected sockets to a channel room
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {String} userId - User ID
+ * @param {String} channelId - Channel ID
+ */
+const joinChannelRoom = (io, userId, channelId) => {
+  if (io) {
+    io.in(`user:${userId}`).socketsJoin(`channel:${channelId}`);
+  }
+};
+
+/**
+ * Update a channel's topic and description and announce each change
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} channel - Channel the user may manage
+ * @param {Object} user - User making the change
+ * @param {Object} updates - { topic, description }
+ * @returns {Promise} Promise resolving to the channel
+ */
+const updateChannelDetails = async (io, channel, user, { topic, description }) => {
+  if (topic && topic.length > 250) {
+    throw new AppError('Channel topic cannot exceed 250 characters', 400);
+  }
+
+  if (description && description.length > 500) {
+    throw new AppError('Channel description cannot exceed 500 characters', 400);
+  }
+
+  // Archived channels are read-only
+  if (channel.is_archived) {
+    throw new AppError('This channel is archived', 400);
+  }
+
+  const changes = [];
+  if (topic !== undefined && topic !== channel.topic) {
+    channel.topic = topic;
+    changes.push(topic ? `set the channel topic: ${topic}` : 'cleared the channel topic');
+  }
+  if (description !== undefined && description !== channel.description) {
+    channel.description = description;
+    changes.push(description ? `set the channel description: ${description}` : 'cleared the channel description');
+  }
+
+  await channel.save();
+
+  for (const change of changes) {
+    await announceChannelUpdate(io, channel, user, `${user.display_name} ${change}`);
+  }
+
+  return channel;
+};
+
+/**
+ * Add a user to a public or private channel and notify them
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} channel - Channel document
+ * @param {Object} inviter - User sending the invitation
+ * @param {Object} invitedUser - User being added
+ * @returns {Promise} Promise resolving to the channel
+ */
+const inviteUser = async (io, channel, inviter, invitedUser) => {
+  // Only public and private channels accept invitations
+  if (!['public', 'private'].includes(channel.type)) {
+    throw new AppError('Cannot invite users to a direct message channel', 400);
+  }
+
+  // Archived channels are read-only
+  if (channel.is_archived) {
+    throw new AppError('This channel is archived', 400);
+  }
+
+  // Check if inviter is a member
+  if (!channel.members.includes(inviter._id)) {
+    throw new AppError('You are not a member of this channel', 403);
+  }
+
+  // Check if invited user is already a member
+  if (channel.members.includes(invitedUser._id)) {
+    throw new AppError('User is already a member of this channel', 400);
+  }
+
+  // Add user to channel members and close any pending request
+  channel.members.push(invitedUser._id);
+  channel.access_requests.forEach(request => {
+    if (request.status === 'pending' && request.user_id.toString() === invitedUser._id.toString()) {
+      request.status = 'approved';
+      request.reviewed_by = inviter._id;
+      request.reviewed_at = Date.now();
+    }
+  });
+  await channel.save();
+
+  joinChannelRoom(io, invitedUser._id, channel._id);
+
+  // Notify subscribed integrations
+  eventService.publishEvent('channel:member_joined', channel._id, {
+    channel_id: channel._id,
+    user_id: invitedUser._id,
+    via: 'invite',
+    invited_by: inviter._id
+  });
+
+  // Notify invited user
+  await sendNotification(io, {
+    recipient_id: invitedUser._id,
+    sender_id: inviter._id,
+    type: 'channel_invite',
+    channel_id: channel._id,
+    content: `${inviter.display_name} added you to #${channel.name}`
+  });
+
+  return channel;
+};
+
+/**
+ * Remove a user from a public or private channel
+ * Ownership passes to the oldest remaining member, and an empty channel is deleted.
+ * @param {Object} channel - Channel document
+ * @param {Object} user - User leaving
+ * @returns {Promise} Promise resolving to { deleted }
+ */
+const leaveChannel = async (channel, user) => {
+  // Check if channel is public or private
+  if (!['public', 'private'].includes(channel.type)) {
+    throw new AppError('Cannot leave a direct message channel', 400);
+  }
+
+  // Check if user is a member
+  if (!channel.members.includes(user._id)) {
+    throw new AppError('You are not a member of this channel', 400);
+  }
+
+  // Check if user is the creator and there are other members
+  if (channel.created_by.toString() === user._id.toString() && channel.members.length > 1) {
+    // Find oldest member to make new creator
+    const oldestMember = await User.findOne({
+      _id: { $in: channel.members, $ne: user._id }
+    }).sort({ created_at: 1 });
+
+    if (oldestMember) {
+      channel.created_by = oldestMember._id;
+    }
+  }
+
+  // Remove user from channel members
+  channel.members = channel.members.filter(
+    memberId => memberId.toString() !== user._id.toString()
+  );
+  channel.moderators = channel.moderators.filter(
+    moderatorId => moderatorId.toString() !== user._id.toString()
+  );
+
+  // If no members left, delete the channel
+  if (channel.members.length === 0) {
+    await Channel.findByIdAndDelete(channel._id);
+    return { deleted: true };
+  }
+
+  await channel.save();
+
+  // Notify subscribed integrations
+  eventService.publishEvent('channel:member_left', channel._id, {
+    channel_id: channel._id,
+    user_id: user._id,
+    via: 'leave'
+  });
+
+  return { deleted: false };
+};
+
+module.exports = {
+  announceChannelUpdate,
+  joinChannelRoom,
+  updateChannelDetails,
+  inviteUser,
+  leaveChannel
+};
@@ -0,0 +1,361 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const SlashCommand = require('../models/SlashCommand');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+const { AppError } = require('../middleware/errorHandler');
+const aiService = require('./aiService');
+const channelService = require('./channelService');
+const messageService = require('./messageService');
+const { parseReminderCommand } = require('./reminderService');
+
+const COMMAND_PATTERN = /^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i;
+const SUMMARY_MESSAGE_LIMIT = parseInt(process.env.AI_SUMMARY_MAX_MESSAGES) || 2000;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const SHRUG = '¯\\_(ツ)_/¯';
+
+// Built-in commands by name
+const registry = new Map();
+
+/**
+ * Register a built-in slash command
+ * @param {String} name - Command name without the slash
+ * @param {Object} definition - { description, usage, scope, handler }
+ * scope is the API token scope the command needs, matching its REST route; null
+ * keeps it to session users, like routes that API tokens cannot call.
+ * The handler receives the command context and returns a result from reply() or post().
+ */
+const registerCommand = (name, definition) => {
+  registry.set(name, { name, ...definition });
+};
+
+/**
+ * Split message content into a command name and its arguments
+ * @param {String} content - Message content
+ * @returns {Object} { name, args } or null if the content is not a command
+ */
+const parseCommand = (content) => {
+  if (typeof content !== 'string') return null;
+
+  const match = content.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+/**
+ * Build the context passed to command handlers
+ * reply() answers only the caller over their socket, post() sends a message to the channel.
+ */
+const createContext = (io, { user, channel, thread_parent_id, name, args }) => ({
+  io,
+  user,
+  channel,
+  args,
+  thread_parent_id: thread_parent_id || null,
+  reply: (text) => {
+    if (io) {
+      io.to(`user:${user._id}`).emit('command:response', {
+        command: name,
+        channel_id: channel._id,
+        text,
+        ephemeral: true
+      });
+    }
+    return { command: name, response_type: 'ephemeral', text };
+  },
+  post: async (content) => {
+    messageService.assertCanPost(channel, user._id);
+
+    // Command output, such as a webhook's answer, is held to the same limit as typed messages
+    const settings = await WorkspaceSettings.getSettings();
+    if (content.length > settings.max_message_length) {
+      throw new AppError(`Message cannot exceed ${settings.max_message_length} characters`, 400);
+    }
+
+    if (thread_parent_id) {
+      await messageService.assertThreadParent(thread_parent_id, channel._id);
+    }
+
+    const message = await messageService.publishMessage(io, {
+      content,
+      author_id: user._id,
+      channel_id: channel._id,
+      thread_parent_id: thread_parent_id || null
+    });
+    return { command: name, response_type: 'in_channel', message };
+  }
+});
+
+/**
+ * Forward a custom command to its outgoing webhook
+ * The webhook may answer with { text, response_type: 'ephemeral' | 'in_channel' }.
+ * @param {Object} command - SlashCommand document
+ * @param {Object} context - Command context
+ * @returns {Promise} Promise resolving to the command result
+ */
+const runCustomCommand = async (command, context) => {
+  const { user, channel, args } = context;
+
+  let response;
+  try {
+    response = await fetch(command.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        token: command.token,
+        command: `/${command.name}`,
+        text: args,
+        user_id: user._id,
+        user_name: user.display_name,
+        channel_id: channel._id,
+        channel_name: channel.name,
+        thread_parent_id: context.thread_parent_id
+      }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    return context.reply(`/${command.name} did not respond: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    return context.reply(`/${command.name} failed with status ${response.status}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!body.text) {
+    return { command: command.name, response_type: 'ephemeral', text: null };
+  }
+
+  return body.response_type === 'in_channel'
+    ? context.post(body.text)
+    : context.reply(body.text);
+};
+
+/**
+ * Run a slash command instead of posting it as a message
+ * Unknown commands are posted to the channel as a normal message.
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} options - { user, channel, content, thread_parent_id, scopes }
+ * scopes are the caller's API token scopes, or null for a session user.
+ * @returns {Promise} Promise resolving to { command, response_type, text, message }
+ */
+const executeCommand = async (io, { user, channel, content, thread_parent_id, scopes = null }) => {
+  const parsed = parseCommand(content);
+  if (!parsed) {
+    throw new AppError('Not a slash command', 400);
+  }
+
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  if (!channel.members.includes(user._id)) {
+    throw new AppError('You are not a member of this channel', 403);
+  }
+
+  const context = createContext(io, { user, channel, thread_parent_id, ...parsed });
+
+  const builtin = registry.get(parsed.name);
+  if (builtin) {
+    // API tokens may only run commands their scopes would allow over REST
+    if (scopes && !builtin.scope) {
+      throw new AppError(`API tokens cannot run /${builtin.name}.`, 403);
+    }
+    if (scopes && !scopes.includes(builtin.scope)) {
+      throw new AppError(`This token is missing the ${builtin.scope} scope.`, 403);
+    }
+
+    return builtin.handler(context);
+  }
+
+  const custom = await SlashCommand.findOne({ name: parsed.name, is_enabled: true });
+  if (custom) {
+    return runCustomCommand(custom, context);
+  }
+
+  // Text that only looks like a command, such as "/shrug" or a path, is posted as written
+  return context.post(content);
+};
+
+/**
+ * Get every command available to users
+ * @returns {Promise} Promise resolving to [{ name, description, usage, builtin }]
+ */
+const listCommands = async () => {
+  const builtins = [...registry.values()].map(({ name, description, usage }) => ({
+    name,
+    description,
+    usage,
+    builtin: true
+  }));
+
+  const custom = await SlashCommand.find({ is_enabled: true }).sort({ name: 1 });
+
+  return [
+    ...builtins,
+    ...custom.map(command => ({
+      name: command.name,
+      description: command.description,
+      usage: `/${command.name} ${command.usage_hint}`.trim(),
+      builtin: false
+    }))
+  ];
+};
+
+/**
+ * Check whether a name belongs to a built-in command
+ * @param {String} name - Command name
+ * @returns {Boolean} True for built-in commands
+ */
+const isBuiltinCommand = name => registry.has(name);
+
+registerCommand('help', {
+  description: 'List the available commands',
+  usage: '/help',
+  scope: 'messages:write',
+  handler: async (context) => {
+    const commands = await listCommands();
+    return context.reply(commands.map(command => `${command.usage} - ${command.description}`).join('\n'));
+  }
+});
+
+registerCommand('topic', {
+  description: 'Show or set the channel topic',
+  usage: '/topic [new topic]',
+  scope: null,
+  handler: async (context) => {
+    const { channel, args } = context;
+
+    if (!args) {
+      return context.reply(channel.topic ? `Topic: ${channel.topic}` : 'This channel has no topic');
+    }
+
+    if (channel.type === 'dm') {
+      throw new AppError('Direct messages cannot be changed this way', 400);
+    }
+
+    await channelService.updateChannelDetails(context.io, channel, context.user, { topic: args });
+    return context.reply(`Topic set to: ${args}`);
+  }
+});
+
+registerCommand('invite', {
+  description: 'Add someone to this channel',
+  usage: '/invite @user',
+  scope: 'channels:write',
+  handler: async (context) => {
+    const mention = context.args.match(/^@?(\w+)$/);
+    if (!mention) {
+      return context.reply('Usage: /invite @user');
+    }
+
+    // Find user by display name
+    const invitedUser = await User.findOne({
+      display_name: { $regex: new RegExp(`^${mention[1]}$`, 'i') }
+    });
+    if (!invitedUser) {
+      return context.reply(`No user named @${mention[1]}`);
+    }
+
+    await channelService.inviteUser(context.io, context.channel, context.user, invitedUser);
+    return context.reply(`Added ${invitedUser.display_name} to #${context.channel.name}`);
+  }
+});
+
+registerCommand('leave', {
+  description: 'Leave this channel',
+  usage: '/leave',
+  scope: 'channels:write',
+  handler: async (context) => {
+    const { io, channel, user } = context;
+
+    await channelService.leaveChannel(channel, user);
+
+    if (io) {
+      io.in(`user:${user._id}`).socketsLeave(`channel:${channel._id}`);
+    }
+    return context.reply(`You left #${channel.name}`);
+  }
+});
+
+registerCommand('me', {
+  description: 'Post an action, e.g. /me is out for lunch',
+  usage: '/me [action]',
+  scope: 'messages:write',
+  handler: async (context) => {
+    if (!context.args) {
+      return context.reply('Usage: /me [action]');
+    }
+    return context.post(`_${context.args}_`);
+  }
+});
+
+registerCommand('shrug', {
+  description: `Append ${SHRUG} to your message`,
+  usage: '/shrug [message]',
+  scope: 'messages:write',
+  handler: context => context.post(`${context.args} ${SHRUG}`.trim())
+});
+
+registerCommand('summarize', {
+  description: 'Privately summarize recent messages in this channel',
+  usage: '/summarize [hours]',
+  scope: null,
+  handler: async (context) => {
+    const hours = context.args ? parseInt(context.args) : 24;
+    if (!Number.isInteger(hours) || hours < 1) {
+      return context.reply('Usage: /summarize [hours]');
+    }
+
+    // Take the most recent messages, then restore chronological order
+    const messages = await Message.find({
+      channel_id: context.channel._id,
+      is_deleted: false,
+      created_at: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    })
+      .sort({ created_at: -1 })
+      .limit(SUMMARY_MESSAGE_LIMIT)
+      .populate('author_id', 'display_name email');
+    messages.reverse();
+
+    const { summary, decisions, action_items } = await aiService.summarizeMessages(
+      context.user._id,
+      messages,
+      `the #${context.channel.name} channel`
+    );
+
+    const sections = [summary];
+    if (decisions.length > 0) sections.push(`Decisions:\n${decisions.map(item => `- ${item}`).join('\n')}`);
+    if (action_items.length > 0) sections.push(`Action items:\n${action_items.map(item => `- ${item}`).join('\n')}`);
+
+    return context.reply(sections.join('\n\n'));
+  }
+});
+
+registerCommand('remind', {
+  description: 'Set a reminder, e.g. /remind me to review the PR in 2 hours',
+  usage: '/remind me [what] [when]',
+  scope: null,
+  handler: async (context) => {
+    const parsed = parseReminderCommand(context.args, context.user.time_zone || 'UTC');
+    if (!parsed || !parsed.text) {
+      return context.reply('Usage: /remind me to [what] [in 2 hours | tomorrow at 9am | at 3pm]');
+    }
+
+    const reminder = await Reminder.create({
+      user_id: context.user._id,
+      text: parsed.text,
+      remind_at: parsed.remind_at
+    });
+    return context.reply(`I will remind you to "${reminder.text}" at ${reminder.remind_at.toISOString()}`);
+  }
+});
+
+module.exports = {
+  registerCommand,
+  parseCommand,
+  executeCommand,
+  listCommands,
+  isBuiltinCommand
+};
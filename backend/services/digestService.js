@@ -0,0 +1,120 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const emailService = require('./emailService');
+
+const OFFLINE_MINUTES = parseInt(process.env.EMAIL_DIGEST_OFFLINE_MINUTES) || 60;
+const INTERVAL_MINUTES = parseInt(process.env.EMAIL_DIGEST_INTERVAL_MINUTES) || 15;
+
+// Notifications listed in one digest; the rest are counted
+const MAX_DIGEST_ITEMS = 20;
+
+let digestTimer = null;
+let digestRunning = false;
+
+/**
+ * Email one user the unread notifications they received since they went away
+ * The user is claimed by moving last_digest_at, so a digest is never sent twice.
+ * @param {Object} user - Offline user
+ * @returns {Promise} Promise resolving to true if a digest was sent
+ */
+const sendDigest = async (user) => {
+  // Only notifications from after the user left, or after their last digest
+  const since = user.last_digest_at && user.last_digest_at > user.last_seen
+    ? user.last_digest_at
+    : user.last_seen;
+
+  const query = {
+    recipient_id: user._id,
+    is_read: false,
+    created_at: { $gt: since }
+  };
+
+  const total = await Notification.countDocuments(query);
+  if (total === 0) return false;
+
+  const claimed = await User.updateOne(
+    { _id: user._id, last_digest_at: user.last_digest_at },
+    { last_digest_at: Date.now() }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  const notifications = await Notification.find(query)
+    .sort({ created_at: -1 })
+    .limit(MAX_DIGEST_ITEMS)
+    .populate('sender_id', 'display_name')
+    .populate('channel_id', 'name')
+    .populate('message_id', 'content');
+
+  try {
+    await emailService.sendDigestEmail(user, notifications, total);
+  } catch (error) {
+    // Release the claim so the next run tries again
+    await User.updateOne({ _id: user._id }, { last_digest_at: user.last_digest_at });
+    throw error;
+  }
+
+  return true;
+};
+
+/**
+ * Email digests to every user who has been offline for EMAIL_DIGEST_OFFLINE_MINUTES
+ * and has unread notifications they have not been emailed about
+ * @returns {Promise} Promise resolving to the number of digests sent
+ */
+const sendNotificationDigests = async () => {
+  const offlineSince = new Date(Date.now() - OFFLINE_MINUTES * 60 * 1000);
+
+  const recipientIds = await Notification.distinct('recipient_id', { is_read: false });
+  if (recipientIds.length === 0) return 0;
+
+  // Bots have no mailbox and unverified addresses may not belong to the user
+  const users = await User.find({
+    _id: { $in: recipientIds },
+    is_bot: { $ne: true },
+    email_verified: { $ne: false },
+    is_online: false,
+    last_seen: { $lte: offlineSince }
+  });
+
+  let sent = 0;
+  for (const user of users) {
+    try {
+      if (await sendDigest(user)) sent += 1;
+    } catch (error) {
+      console.error(`Error sending notification digest to ${user.email}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Run a digest pass unless one is already in progress
+ */
+const runDigests = async () => {
+  if (digestRunning) return;
+  digestRunning = true;
+
+  try {
+    await sendNotificationDigests();
+  } catch (error) {
+    console.error('Error sending notification digests:', error);
+  } finally {
+    digestRunning = false;
+  }
+};
+
+/**
+ * Start sending notification digests every EMAIL_DIGEST_INTERVAL_MINUTES
+ */
+const startDigestJob = () => {
+  if (digestTimer) return;
+
+  digestTimer = setInterval(runDigests, INTERVAL_MINUTES * 60 * 1000);
+  digestTimer.unref();
+};
+
+module.exports = {
+  sendNotificationDigests,
+  startDigestJob
+};
@@ -1,6 +1,10 @@
+const emailTransport = require('./emailTransport');
+const templates = require('./emailTemplates');
+
 /**
- * Email service stub for notifications
- * Note: This is a stub implementation for v1. Real email functionality can be added later.
+ * Email service for notifications and account emails
+ * Emails are rendered from emailTemplates and sent through the transport
+ * selected by EMAIL_TRANSPORT.
  */
 
 /**
@@ -10,54 +14,68 @@
  * @param {String} options.subject - Email subject
  * @param {String} options.text - Plain text content
  * @param {String} options.html - HTML content
- * @returns {Promise} Promise resolving to a success message
+ * @returns {Promise} Promise resolving to the send result
  */
 exports.sendNotificationEmail = async (options) => {
-  // Log email that would be sent (for development)
-  console.log('Email notification stub:');
-  console.log('To:', options.to);
-  console.log('Subject:', options.subject);
-  console.log('Text:', options.text);
-  
-  // In a real implementation, this would use a service like Nodemailer, SendGrid, etc.
-  // For v1, we're just stubbing this functionality
-  
+  const { to, subject, text, html } = options;
+  const info = await emailTransport.sendMail({ to, subject, text, html });
+
   return {
     success: true,
-    message: 'Email notification would be sent (stub)'
+    message_id: info.messageId
   };
 };
 
 /**
  * Send welcome email
  * @param {Object} user - User object
- * @returns {Promise} Promise resolving to a success message
+ * @returns {Promise} Promise resolving to the send result
  */
 exports.sendWelcomeEmail = async (user) => {
   return exports.sendNotificationEmail({
     to: user.email,
-    subject: 'Welcome to Slack Clone',
-    text: `Hi ${user.display_name},\n\nWelcome to Slack Clone! We're excited to have you on board.\n\nBest regards,\nThe Slack Clone Team`,
-    html: `<h1>Welcome to Slack Clone!</h1><p>Hi ${user.display_name},</p><p>We're excited to have you on board.</p><p>Best regards,<br>The Slack Clone Team</p>`
+    ...templates.welcome(user)
   });
 };
 
 /**
- * Send mention notification email
- * @param {Object} options - Notification options
- * @param {Object} options.recipient - User being mentioned
- * @param {Object} options.sender - User who mentioned
- * @param {Object} options.message - Message object
- * @param {Object} options.channel - Channel object
- * @returns {Promise} Promise resolving to a success message
+ * Send email address verification link
+ * @param {Object} user - User object
+ * @param {String} token - Verification token
+ * @param {Number} expiresInMinutes - Token lifetime
+ * @returns {Promise} Promise resolving to the send result
  */
-exports.sendMentionEmail = async (options) => {
-  const { recipient, sender, message, channel } = options;
-  
+exports.sendVerificationEmail = async (user, token, expiresInMinutes) => {
   return exports.sendNotificationEmail({
-    to: recipient.email,
-    subject: `You were mentioned by ${sender.display_name} in Slack Clone`,
-    text: `Hi ${recipient.display_name},\n\n${sender.display_name} mentioned you in ${channel.name}:\n\n"${message.content}"\n\nBest regards,\nThe Slack Clone Team`,
-    html: `<h1>You were mentioned</h1><p>Hi ${recipient.display_name},</p><p>${sender.display_name} mentioned you in ${channel.name}:</p><blockquote>${message.content}</blockquote><p>Best regards,<br>The Slack Clone Team</p>`
+    to: user.email,
+    ...templates.verification(user, token, expiresInMinutes)
   });
-}; 
\ No newline at end of file
+};
+
+/**
+ * Send password reset link
+ * @param {Object} user - User object
+ * @param {String} token - Password reset token
+ * @param {Number} expiresInMinutes - Token lifetime
+ * @returns {Promise} Promise resolving to the send result
+ */
+exports.sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  return exports.sendNotificationEmail({
+    to: user.email,
+    ...templates.passwordReset(user, token, expiresInMinutes)
+  });
+};
+
+/**
+ * Send a digest of unread notifications
+ * @param {Object} user - User object
+ * @param {Array} notifications - Notifications to list, with sender, channel and message populated
+ * @param {Number} totalUnread - All unread notifications, including ones not listed
+ * @returns {Promise} Promise resolving to the send result
+ */
+exports.sendDigestEmail = async (user, notifications, totalUnread) => {
+  return exports.sendNotificationEmail({
+    to: user.email,
+    ...templates.digest(user, notifications, totalUnread)
+  });
+};
@@ -0,0 +1,189 @@
+/**
+ * Email templates
+ * Each template returns { subject, text, html }. Anything that comes from users,
+ * such as names and message content, must go through escapeHtml in the HTML part.
+ */
+
+const { escapeHtml } = require('../utils/escape');
+
+// Base URL of the web app, used for links in emails
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const APP_NAME = 'Slack Clone';
+
+// Longest message excerpt shown in an email
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Shorten message content for an email
+ * @param {String} content - Message content
+ * @returns {String} Content of at most EXCERPT_LENGTH characters
+ */
+const excerpt = (content) => {
+  const text = String(content || '').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Build a link into the web app
+ * @param {String} pathname - App path, e.g. /reset-password
+ * @param {Object} params - Query parameters
+ * @returns {String} Absolute URL
+ */
+const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, APP_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Wrap email content in the shared HTML layout
+ * @param {String} title - Heading, already escaped
+ * @param {String} body - Body HTML, already escaped
+ * @returns {String} Complete HTML document
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Helvetica,Arial,sans-serif;color:#1d1c1d;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:32px;">
+<h1 style="margin:0 0 16px;font-size:22px;">${title}</h1>
+${body}
+<p style="margin:24px 0 0;color:#616061;font-size:13px;">Best regards,<br>The ${APP_NAME} Team</p>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+/**
+ * Render a call-to-action button
+ * @param {String} href - Link target
+ * @param {String} label - Button text
+ * @returns {String} Button HTML
+ */
+const button = (href, label) => `<p style="margin:24px 0;"><a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 18px;background:#4a154b;color:#ffffff;border-radius:4px;text-decoration:none;font-weight:bold;">${escapeHtml(label)}</a></p>`;
+
+/**
+ * Render a quoted message
+ * @param {String} content - Message content
+ * @returns {String} Blockquote HTML
+ */
+const quote = (content) => `<blockquote style="margin:12px 0;padding:8px 12px;border-left:4px solid #dddddd;color:#1d1c1d;white-space:pre-wrap;">${escapeHtml(excerpt(content))}</blockquote>`;
+
+/**
+ * Build plain text with the shared greeting and sign-off
+ * @param {Object} user - Recipient
+ * @param {Array} lines - Body paragraphs
+ * @returns {String} Plain text email
+ */
+const textEmail = (user, lines) => [
+  `Hi ${user.display_name},`,
+  ...lines,
+  `Best regards,\nThe ${APP_NAME} Team`
+].join('\n\n');
+
+/**
+ * Welcome email
+ * @param {Object} user - New user
+ */
+const welcome = (user) => ({
+  subject: `Welcome to ${APP_NAME}`,
+  text: textEmail(user, [`Welcome to ${APP_NAME}! We're excited to have you on board.`]),
+  html: layout(`Welcome to ${APP_NAME}!`, `<p>Hi ${escapeHtml(user.display_name)},</p><p>We're excited to have you on board.</p>`)
+});
+
+/**
+ * Email address verification email
+ * @param {Object} user - Unverified user
+ * @param {String} token - Verification token
+ * @param {Number} expiresInMinutes - Token lifetime
+ */
+const verification = (user, token, expiresInMinutes) => {
+  const link = appLink('/verify-email', { token });
+  const hours = Math.round(expiresInMinutes / 60);
+
+  return {
+    subject: `Verify your email address for ${APP_NAME}`,
+    text: textEmail(user, [
+      'Confirm your email address to start posting:',
+      link,
+      `This link expires in ${hours} hours.`
+    ]),
+    html: layout('Verify your email address', [
+      `<p>Hi ${escapeHtml(user.display_name)},</p>`,
+      '<p>Confirm your email address to start posting.</p>',
+      button(link, 'Verify email address'),
+      `<p>This link expires in ${hours} hours.</p>`
+    ].join('\n'))
+  };
+};
+
+/**
+ * Password reset email
+ * @param {Object} user - User who asked for the reset
+ * @param {String} token - Password reset token
+ * @param {Number} expiresInMinutes - Token lifetime
+ */
+const passwordReset = (user, token, expiresInMinutes) => {
+  const link = appLink('/reset-password', { token });
+  const notice = `This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask to reset your password, you can ignore this email.`;
+
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    text: textEmail(user, ['Use this link to choose a new password:', link, notice]),
+    html: layout('Reset your password', [
+      `<p>Hi ${escapeHtml(user.display_name)},</p>`,
+      '<p>Use this link to choose a new password.</p>',
+      button(link, 'Reset password'),
+      `<p>${notice}</p>`
+    ].join('\n'))
+  };
+};
+
+/**
+ * Digest of unread notifications
+ * @param {Object} user - Recipient
+ * @param {Array} notifications - Notifications to list, with sender, channel and message populated
+ * @param {Number} totalUnread - All unread notifications, including ones not listed
+ */
+const digest = (user, notifications, totalUnread) => {
+  const link = appLink('/notifications');
+  const more = totalUnread - notifications.length;
+  const summary = `You have ${totalUnread} unread notification${totalUnread === 1 ? '' : 's'} in ${APP_NAME}.`;
+
+  const textItems = notifications.map(notification => {
+    const where = notification.channel_id ? ` in #${notification.channel_id.name}` : '';
+    const content = notification.message_id ? `\n  "${excerpt(notification.message_id.content)}"` : '';
+    return `- ${notification.content}${where}${content}`;
+  });
+  if (more > 0) textItems.push(`...and ${more} more`);
+
+  const htmlItems = notifications.map(notification => {
+    const where = notification.channel_id ? ` <span style="color:#616061;">in #${escapeHtml(notification.channel_id.name)}</span>` : '';
+    const content = notification.message_id ? quote(notification.message_id.content) : '';
+    return `<li style="margin:0 0 12px;">${escapeHtml(notification.content)}${where}${content}</li>`;
+  });
+  if (more > 0) htmlItems.push(`<li style="margin:0 0 12px;">…and ${more} more</li>`);
+
+  return {
+    subject: `You have ${totalUnread} unread notification${totalUnread === 1 ? '' : 's'} in ${APP_NAME}`,
+    text: textEmail(user, [summary, textItems.join('\n'), `See everything: ${link}`]),
+    html: layout('While you were away', [
+      `<p>Hi ${escapeHtml(user.display_name)},</p>`,
+      `<p>${summary}</p>`,
+      `<ul style="padding-left:20px;">${htmlItems.join('\n')}</ul>`,
+      button(link, 'View notifications')
+    ].join('\n'))
+  };
+};
+
+module.exports = {
+  welcome,
+  verification,
+  passwordReset,
+  digest
+};
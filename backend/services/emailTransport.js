@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// smtp sends real email; file writes each email to the outbox directory as a .eml file;
+// memory keeps sent emails in a list for tests and local tooling
+const EMAIL_TRANSPORT = (process.env.EMAIL_TRANSPORT || 'file').toLowerCase();
+const OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+let transport = null;
+
+// Emails sent through the memory transport, oldest first
+const outbox = [];
+
+/**
+ * Create a transport that sends through an SMTP server
+ * @returns {Object} Nodemailer transport
+ */
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Port 465 uses TLS from the start; other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+/**
+ * Create a transport that writes emails to the outbox directory
+ * Each email is saved as a complete .eml file that mail clients can open.
+ * @returns {Object} Transport with a sendMail method
+ */
+const createFileTransport = () => {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (mail) => {
+      const info = await composer.sendMail(mail);
+      const filePath = path.join(OUTBOX_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+
+      await fs.mkdir(OUTBOX_DIR, { recursive: true });
+      await fs.writeFile(filePath, info.message);
+
+      return { messageId: info.messageId, path: filePath };
+    }
+  };
+};
+
+/**
+ * Create a transport that keeps emails in the in-memory outbox
+ * @returns {Object} Transport with a sendMail method
+ */
+const createMemoryTransport = () => {
+  const composer = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (mail) => {
+      const info = await composer.sendMail(mail);
+      outbox.push({ ...JSON.parse(info.message), sent_at: new Date() });
+
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} Transport with a sendMail method
+ */
+const getTransport = () => {
+  if (transport) return transport;
+
+  switch (EMAIL_TRANSPORT) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required when EMAIL_TRANSPORT is smtp');
+      }
+      transport = createSmtpTransport();
+      break;
+    case 'file':
+      transport = createFileTransport();
+      break;
+    case 'memory':
+      transport = createMemoryTransport();
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${EMAIL_TRANSPORT}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise} Promise resolving to transport info, including messageId
+ */
+const sendMail = async (mail) => {
+  return await getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Slack Clone <no-reply@localhost>',
+    ...mail
+  });
+};
+
+/**
+ * Get emails sent through the memory transport
+ * @returns {Array} Sent emails, oldest first
+ */
+const getOutbox = () => [...outbox];
+
+/**
+ * Empty the in-memory outbox
+ */
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,169 @@
+const Message = require('../models/Message');
+const MessageEmbedding = require('../models/MessageEmbedding');
+const aiService = require('./aiService');
+
+// Maximum number of stored vectors compared for one search
+const SEARCH_SCAN_LIMIT = parseInt(process.env.SEMANTIC_SEARCH_SCAN_LIMIT) || 5000;
+
+/**
+ * Compute cosine similarity between two vectors
+ * @param {Array} a - First vector
+ * @param {Array} b - Second vector
+ * @returns {Number} Similarity between -1 and 1
+ */
+const cosineSimilarity = (a, b) => {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Check whether a message should have an embedding
+ * @param {Object} message - Message object
+ * @returns {Boolean} True if the message has indexable content
+ */
+const isIndexable = (message) => {
+  return !message.is_deleted && !!message.content && message.content.trim() !== '';
+};
+
+/**
+ * Create or update the embeddings for a batch of messages
+ * Indexing is a background operation, so it is not counted against any user's AI quota.
+ * @param {Array} messages - Message objects
+ * @returns {Promise} Promise resolving to the number of messages indexed
+ */
+const indexMessages = async (messages) => {
+  const indexable = messages.filter(isIndexable);
+  if (indexable.length === 0) return 0;
+
+  const { embeddings, model } = await aiService.getProvider().embed(
+    indexable.map(message => message.content)
+  );
+
+  await MessageEmbedding.bulkWrite(indexable.map((message, index) => ({
+    updateOne: {
+      filter: { message_id: message._id },
+      update: {
+        $set: {
+          channel_id: message.channel_id._id || message.channel_id,
+          vector: embeddings[index],
+          model
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return indexable.length;
+};
+
+/**
+ * Index a single message after it is created or edited
+ * Errors are logged, never thrown, so messaging keeps working if the provider is down.
+ * @param {Object} message - Message object
+ */
+const indexMessage = async (message) => {
+  try {
+    if (!isIndexable(message)) {
+      await removeMessage(message._id);
+      return;
+    }
+
+    await indexMessages([message]);
+  } catch (error) {
+    console.error('Error indexing message embedding:', error);
+  }
+};
+
+/**
+ * Remove the embedding for a message
+ * @param {String} messageId - Message ID
+ */
+const removeMessage = async (messageId) => {
+  try {
+    await MessageEmbedding.deleteOne({ message_id: messageId });
+  } catch (error) {
+    console.error('Error removing message embedding:', error);
+  }
+};
+
+/**
+ * Index every message that does not have an embedding yet
+ * @param {Object} options - Backfill options
+ * @param {Number} options.batchSize - Messages embedded per provider call
+ * @param {Function} options.onProgress - Called with the running total after each batch
+ * @returns {Promise} Promise resolving to the number of messages indexed
+ */
+const backfillEmbeddings = async ({ batchSize = 100, onProgress } = {}) => {
+  let total = 0;
+  let lastId = null;
+
+  while (true) {
+    const query = { is_deleted: false, content: { $nin: [null, ''] } };
+    if (lastId) query._id = { $gt: lastId };
+
+    const batch = await Message.find(query).sort({ _id: 1 }).limit(batchSize);
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    // Skip messages that are already indexed
+    const existing = await MessageEmbedding.find({
+      message_id: { $in: batch.map(message => message._id) }
+    }).select('message_id');
+    const indexed = new Set(existing.map(embedding => embedding.message_id.toString()));
+
+    total += await indexMessages(batch.filter(message => !indexed.has(message._id.toString())));
+    if (onProgress) onProgress(total);
+  }
+
+  return total;
+};
+
+/**
+ * Rank indexed messages by similarity to a query
+ * @param {String} userId - User running the search
+ * @param {String} query - Search text
+ * @param {Array} channelIds - Channels the user may read
+ * @param {Number} limit - Maximum number of results
+ * @returns {Promise} Promise resolving to [{ message_id, channel_id, score }]
+ */
+const searchSimilar = async (userId, query, channelIds, limit) => {
+  const { embeddings, model } = await aiService.embed(userId, 'search', [query]);
+  const queryVector = embeddings[0];
+
+  // Only vectors from the same model are comparable
+  const candidates = await MessageEmbedding.find({
+    channel_id: { $in: channelIds },
+    model
+  })
+    .sort({ updated_at: -1 })
+    .limit(SEARCH_SCAN_LIMIT)
+    .lean();
+
+  return candidates
+    .map(candidate => ({
+      message_id: candidate.message_id,
+      channel_id: candidate.channel_id,
+      score: cosineSimilarity(queryVector, candidate.vector)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  cosineSimilarity,
+  indexMessage,
+  removeMessage,
+  backfillEmbeddings,
+  searchSimilar
+};
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const Channel = require('../models/Channel');
+const EventSubscription = require('../models/EventSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const POLL_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_DELIVERY_POLL_SECONDS) || 10;
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Due deliveries fetched per dispatch round
+const DISPATCH_BATCH_SIZE = 100;
+
+let dispatchTimer = null;
+let dispatchRunning = false;
+let dispatchQueued = false;
+
+/**
+ * Sign a delivery body
+ * Receivers recompute HMAC-SHA256 over "<timestamp>.<body>" with their secret.
+ * @param {String} secret - Subscription secret
+ * @param {Number} timestamp - Unix time in seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Get the wait before the next attempt, doubling after each failure
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+const getRetryDelay = attempts => RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Send one delivery attempt and record the outcome
+ * @param {Object} delivery - Delivery in the 'sending' state
+ */
+const attemptDelivery = async (delivery) => {
+  const subscription = await EventSubscription.findById(delivery.subscription_id).select('+secret');
+
+  delivery.attempts += 1;
+
+  if (!subscription || !subscription.is_active) {
+    delivery.status = 'dead';
+    delivery.last_error = 'Subscription was removed or disabled';
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    delivery.last_response_status = response.status;
+    if (response.ok) {
+      delivery.status = 'succeeded';
+      delivery.delivered_at = Date.now();
+      delivery.last_error = null;
+      await delivery.save();
+      return;
+    }
+    delivery.last_error = `Receiver responded with status ${response.status}`;
+  } catch (error) {
+    delivery.last_response_status = null;
+    delivery.last_error = error.message;
+  }
+
+  // Retry with exponential backoff until attempts run out
+  if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'dead';
+  } else {
+    delivery.status = 'pending';
+    delivery.next_attempt_at = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+  await delivery.save();
+};
+
+/**
+ * Claim a pending delivery so it is never sent twice at once
+ * @param {String} deliveryId - Delivery ID
+ * @returns {Promise} Promise resolving to the claimed delivery, or null if it was not pending
+ */
+const claimDelivery = async (deliveryId) => {
+  return await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending' },
+    { status: 'sending' },
+    { new: true }
+  );
+};
+
+/**
+ * Send one subscription's deliveries in order
+ * @param {Array} deliveries - Due deliveries for the same subscription, oldest first
+ * @returns {Promise} Promise resolving to the number of attempts made
+ */
+const dispatchSubscriptionDeliveries = async (deliveries) => {
+  let attempted = 0;
+
+  for (const { _id } of deliveries) {
+    const delivery = await claimDelivery(_id);
+    if (!delivery) continue;
+
+    await attemptDelivery(delivery);
+    attempted += 1;
+  }
+
+  return attempted;
+};
+
+/**
+ * Send every delivery that is due
+ * Subscriptions are sent to in parallel, so a slow receiver only holds up its
+ * own deliveries; each subscription's deliveries are still sent in order.
+ * @returns {Promise} Promise resolving to the number of attempts made
+ */
+const dispatchDueDeliveries = async () => {
+  let attempted = 0;
+
+  for (;;) {
+    const due = await WebhookDelivery.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+      .sort({ next_attempt_at: 1 })
+      .limit(DISPATCH_BATCH_SIZE)
+      .select('_id subscription_id');
+    if (due.length === 0) break;
+
+    const bySubscription = new Map();
+    due.forEach(delivery => {
+      const key = delivery.subscription_id.toString();
+      if (!bySubscription.has(key)) bySubscription.set(key, []);
+      bySubscription.get(key).push(delivery);
+    });
+
+    const counts = await Promise.all([...bySubscription.values()].map(dispatchSubscriptionDeliveries));
+    const batchAttempted = counts.reduce((sum, count) => sum + count, 0);
+
+    // Everything in the batch was claimed by another process
+    if (batchAttempted === 0) break;
+    attempted += batchAttempted;
+  }
+
+  return attempted;
+};
+
+/**
+ * Send a pending delivery right away, without waiting for the dispatcher
+ * @param {Object} delivery - Pending delivery
+ * @returns {Promise} Promise resolving to the delivery after the attempt
+ */
+const deliverNow = async (delivery) => {
+  const claimed = await claimDelivery(delivery._id);
+
+  // The dispatcher got to it first; report its current state
+  if (!claimed) return await WebhookDelivery.findById(delivery._id);
+
+  await attemptDelivery(claimed);
+  return claimed;
+};
+
+/**
+ * Run a dispatch, or queue one if a dispatch is already in progress
+ */
+const runDispatch = async () => {
+  if (dispatchRunning) {
+    dispatchQueued = true;
+    return;
+  }
+  dispatchRunning = true;
+
+  try {
+    do {
+      dispatchQueued = false;
+      await dispatchDueDeliveries();
+    } while (dispatchQueued);
+  } catch (error) {
+    console.error('Error dispatching webhook deliveries:', error);
+  } finally {
+    dispatchRunning = false;
+  }
+};
+
+/**
+ * Queue a workspace event for every integration subscribed to it
+ * Failures are logged and never interrupt the caller.
+ * @param {String} event - Event name, e.g. message:new
+ * @param {String} channelId - Channel the event happened in
+ * @param {Object} data - Event data, usually the same object sent over Socket.IO
+ */
+const publishEvent = async (event, channelId, data) => {
+  try {
+    const subscriptions = await EventSubscription.find({ events: event, is_active: true });
+    if (subscriptions.length === 0) return;
+
+    const channel = await Channel.findById(channelId).select('name type');
+    if (!channel) return;
+
+    const matching = subscriptions.filter(subscription => subscription.coversChannel(channel));
+    if (matching.length === 0) return;
+
+    const payload = {
+      event,
+      channel: { id: channel._id, name: channel.name, type: channel.type },
+      data: data && typeof data.toJSON === 'function' ? data.toJSON() : data,
+      created_at: new Date()
+    };
+
+    await WebhookDelivery.insertMany(matching.map(subscription => ({
+      subscription_id: subscription._id,
+      event,
+      payload
+    })));
+
+    runDispatch();
+  } catch (error) {
+    console.error(`Error publishing ${event} event:`, error);
+  }
+};
+
+/**
+ * Queue a failed delivery to be sent again
+ * @param {Object} delivery - Dead delivery
+ * @returns {Promise} Promise resolving to the delivery
+ */
+const redeliver = async (delivery) => {
+  delivery.status = 'pending';
+  delivery.attempts = 0;
+  delivery.next_attempt_at = new Date();
+  await delivery.save();
+
+  runDispatch();
+  return delivery;
+};
+
+/**
+ * Start the webhook delivery dispatcher
+ * Deliveries left 'sending' by a previous process are queued again, then due
+ * deliveries are checked every WEBHOOK_DELIVERY_POLL_SECONDS.
+ */
+const startDeliveryDispatcher = async () => {
+  if (dispatchTimer) return;
+
+  dispatchTimer = setInterval(runDispatch, POLL_INTERVAL_SECONDS * 1000);
+  dispatchTimer.unref();
+
+  try {
+    await WebhookDelivery.updateMany({ status: 'sending' }, { status: 'pending' });
+  } catch (error) {
+    console.error('Error requeueing webhook deliveries:', error);
+  }
+
+  runDispatch();
+};
+
+module.exports = {
+  signPayload,
+  publishEvent,
+  redeliver,
+  dispatchDueDeliveries,
+  deliverNow,
+  startDeliveryDispatcher
+};
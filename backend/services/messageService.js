@@ -0,0 +1,136 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { AppError } = require('../middleware/errorHandler');
+const embeddingService = require('./embeddingService');
+const eventService = require('./eventService');
+
+/**
+ * Ensure a user may post in a channel
+ * @param {Object} channel - Channel document (or null)
+ * @param {String} userId - User ID
+ */
+const assertCanPost = (channel, userId) => {
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  if (!channel.members.includes(userId)) {
+    throw new AppError('You are not a member of this channel', 403);
+  }
+
+  // Archived channels are read-only
+  if (channel.is_archived) {
+    throw new AppError('This channel is archived', 400);
+  }
+
+  if (channel.isMuted(userId)) {
+    throw new AppError('You are muted in this channel', 403);
+  }
+};
+
+/**
+ * Ensure a thread parent exists in the reply's channel and can take replies
+ * @param {String} threadParentId - Parent message ID
+ * @param {String} channelId - Channel the reply is posted in
+ */
+const assertThreadParent = async (threadParentId, channelId) => {
+  const parentMessage = await Message.findById(threadParentId);
+
+  // A parent in another channel is reported as missing so its channel stays hidden
+  if (!parentMessage || !parentMessage.channel_id.equals(channelId)) {
+    throw new AppError('Parent message not found', 404);
+  }
+
+  // Check thread depth (max 3 levels)
+  if (parentMessage.thread_parent_id) {
+    const grandparent = await Message.findById(parentMessage.thread_parent_id).select('thread_parent_id');
+    if (grandparent && grandparent.thread_parent_id) {
+      throw new AppError('Thread depth limit reached (max 3 levels)', 400);
+    }
+  }
+};
+
+/**
+ * Process mentions in message and create notifications
+ * @param {Object} message - Message object
+ */
+const processMentions = async (message) => {
+  try {
+    // Extract mentions from message content (e.g., @username)
+    const mentionRegex = /@(\w+)/g;
+    const mentions = (message.content || '').match(mentionRegex) || [];
+
+    if (mentions.length === 0) return;
+
+    const authorId = message.author_id._id || message.author_id;
+
+    for (const mention of mentions) {
+      const username = mention.substring(1); // Remove @ symbol
+
+      // Find user by display name
+      const user = await User.findOne({
+        display_name: { $regex: new RegExp(`^${username}$`, 'i') }
+      });
+
+      if (user && user._id.toString() !== authorId.toString()) {
+        // Get sender details
+        const sender = await User.findById(authorId);
+
+        // Create notification; offline users get it in their email digest
+        await Notification.createNotification({
+          recipient_id: user._id,
+          sender_id: authorId,
+          type: 'mention',
+          message_id: message._id,
+          channel_id: message.channel_id,
+          content: `${sender.display_name} mentioned you in a message`
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Error processing mentions:', error);
+  }
+};
+
+/**
+ * Create a message and deliver it to the channel
+ * Broadcasts over Socket.IO, notifies mentioned users and indexes the message.
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} messageData - Message fields
+ * @returns {Promise} Promise resolving to the populated message
+ */
+const publishMessage = async (io, messageData) => {
+  // Mark messages from bot accounts so clients can label them
+  const isBot = await User.exists({ _id: messageData.author_id, is_bot: true });
+  const message = await Message.create({ ...messageData, is_bot: Boolean(isBot) });
+
+  // Populate author details
+  await message.populate('author_id', 'display_name email');
+
+  if (io) {
+    io.to(`channel:${message.channel_id}`).emit('message:new', message);
+
+    // If it's a thread reply, emit to thread subscribers
+    if (message.thread_parent_id) {
+      io.to(`thread:${message.thread_parent_id}`).emit('thread:new_reply', message);
+    }
+  }
+
+  // Notify subscribed integrations
+  eventService.publishEvent('message:new', message.channel_id, message);
+
+  // Process mentions and create notifications
+  processMentions(message);
+
+  // Index message for semantic search
+  embeddingService.indexMessage(message);
+
+  return message;
+};
+
+module.exports = {
+  assertCanPost,
+  assertThreadParent,
+  publishMessage
+};
@@ -0,0 +1,23 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Create a notification and push it to the recipient's sockets
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} data - Notification data
+ * @returns {Promise} Promise resolving to the notification
+ */
+const sendNotification = async (io, data) => {
+  const notification = await Notification.createNotification(data);
+
+  if (io) {
+    await notification.populate('sender_id', 'display_name email');
+    await notification.populate('channel_id', 'name type');
+    io.to(`user:${data.recipient_id}`).emit('notification:new', notification);
+  }
+
+  return notification;
+};
+
+module.exports = {
+  sendNotification
+};
@@ -0,0 +1,212 @@
+const AIQuota = require('../models/AIQuota');
+const AIUsage = require('../models/AIUsage');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+
+const WINDOWS = ['day', 'week', 'month'];
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Get the calendar parts of a date in a time zone
+ * @param {Date} date - Date to convert
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    values[type] = type === 'weekday' ? value : parseInt(value);
+  });
+
+  return values;
+};
+
+/**
+ * Get the offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA time zone
+ * @returns {Number} Offset in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert local midnight of a calendar date in a time zone to a UTC instant
+ * @param {Number} year - Year
+ * @param {Number} month - Month (1-12, may overflow)
+ * @param {Number} day - Day of month (may overflow)
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date} UTC instant
+ */
+const zonedMidnight = (year, month, day, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const guess = wallClock - offset;
+
+  // Correct once more in case the offset changes between the guess and the result (DST)
+  const corrected = getTimeZoneOffset(new Date(guess), timeZone);
+  return new Date(wallClock - corrected);
+};
+
+/**
+ * Get the start and end of the quota window containing a date
+ * Weeks start on Monday.
+ * @param {String} window - day, week or month
+ * @param {String} timeZone - IANA time zone
+ * @param {Date} now - Reference date
+ * @returns {Object} { start, end }
+ */
+const getWindowRange = (window, timeZone = 'UTC', now = new Date()) => {
+  const { year, month, day, weekday } = getZonedParts(now, timeZone);
+
+  if (window === 'month') {
+    return {
+      start: zonedMidnight(year, month, 1, timeZone),
+      end: zonedMidnight(year, month + 1, 1, timeZone)
+    };
+  }
+
+  const startDay = window === 'week' ? day - WEEKDAYS.indexOf(weekday) : day;
+  const length = window === 'week' ? 7 : 1;
+
+  return {
+    start: zonedMidnight(year, month, startDay, timeZone),
+    end: zonedMidnight(year, month, startDay + length, timeZone)
+  };
+};
+
+/**
+ * Get the quota rules that apply to a user
+ * For each feature and window the most specific rule wins: user, then role,
+ * then the AI_RATE_LIMIT default (daily, across all features).
+ * @param {Object} user - User object
+ * @param {Array} featureTypes - Feature types to resolve ('all' included as needed)
+ * @returns {Promise} Promise resolving to [{ feature_type, window, limit, unlimited, source }]
+ */
+const getEffectiveRules = async (user, featureTypes) => {
+  const rules = await AIQuota.find({
+    $or: [
+      { scope: 'user', user_id: user._id },
+      { scope: 'role', role: user.role }
+    ],
+    feature_type: { $in: featureTypes }
+  });
+
+  const effective = [];
+
+  featureTypes.forEach((featureType) => {
+    WINDOWS.forEach((window) => {
+      const matches = rules.filter(rule => rule.feature_type === featureType && rule.window === window);
+      const rule = matches.find(r => r.scope === 'user') || matches.find(r => r.scope === 'role');
+
+      if (rule) {
+        effective.push({
+          feature_type: featureType,
+          window,
+          limit: rule.unlimited ? null : rule.limit,
+          unlimited: rule.unlimited,
+          source: rule.scope
+        });
+      } else if (featureType === 'all' && window === 'day') {
+        effective.push({
+          feature_type: 'all',
+          window: 'day',
+          limit: parseInt(process.env.AI_RATE_LIMIT) || 20,
+          unlimited: false,
+          source: 'default'
+        });
+      }
+    });
+  });
+
+  return effective;
+};
+
+/**
+ * Add usage, remaining count and reset time to quota rules
+ * @param {Object} user - User object
+ * @param {Array} rules - Effective rules
+ * @param {Date} now - Reference date
+ * @returns {Promise} Promise resolving to rules with usage
+ */
+const withUsage = async (user, rules, now = new Date()) => {
+  const timeZone = user.time_zone || 'UTC';
+
+  return Promise.all(rules.map(async (rule) => {
+    const { start, end } = getWindowRange(rule.window, timeZone, now);
+    const used = await AIUsage.getUsageTotal(user._id, start, end, rule.feature_type);
+
+    return {
+      ...rule,
+      used,
+      remaining: rule.unlimited ? null : Math.max(rule.limit - used, 0),
+      resets_at: end
+    };
+  }));
+};
+
+/**
+ * Ensure a user is within every quota that applies to a feature
+ * @param {String} userId - User ID
+ * @param {String} featureType - AIUsage feature type
+ * @param {Date} now - Reference date
+ */
+const checkQuota = async (userId, featureType, now = new Date()) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const rules = await getEffectiveRules(user, [featureType, 'all']);
+  const limited = rules.filter(rule => !rule.unlimited);
+  const statuses = await withUsage(user, limited, now);
+
+  const exceeded = statuses.find(status => status.used >= status.limit);
+  if (exceeded) {
+    const feature = exceeded.feature_type === 'all' ? 'AI' : `AI ${exceeded.feature_type}`;
+    throw new AppError(
+      `${feature} usage limit reached for this ${exceeded.window}. Resets at ${exceeded.resets_at.toISOString()}.`,
+      429
+    );
+  }
+};
+
+/**
+ * Get every quota that applies to a user, with usage and remaining counts
+ * @param {Object} user - User object
+ * @returns {Promise} Promise resolving to { time_zone, quotas }
+ */
+const getQuotaStatus = async (user) => {
+  const featureTypes = ['all', ...AIUsage.schema.path('feature_type').enumValues];
+  const rules = await getEffectiveRules(user, featureTypes);
+
+  return {
+    time_zone: user.time_zone || 'UTC',
+    quotas: await withUsage(user, rules)
+  };
+};
+
+module.exports = {
+  WINDOWS,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedMidnight,
+  getWindowRange,
+  checkQuota,
+  getQuotaStatus
+};
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Reminder = require('../models/Reminder');
+const Notification = require('../models/Notification');
+const { sendNotification } = require('./notificationService');
+const { getZonedParts, getTimeZoneOffset, zonedMidnight } = require('./quotaService');
+
+const POLL_INTERVAL_SECONDS = parseInt(process.env.REMINDER_POLL_SECONDS) || 30;
+
+// Reminders for "tomorrow" without a time fire at 9am
+const DEFAULT_HOUR = 9;
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const RELATIVE_PATTERN = /\bin\s+(an?|\d+)\s+(minutes?|mins?|hours?|hrs?|days?|weeks?)\b/i;
+const TOMORROW_PATTERN = /\btomorrow(?:\s+at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)?\b/i;
+const CLOCK_PATTERN = /\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i;
+
+let dispatchTimer = null;
+let dispatchRunning = false;
+
+/**
+ * Normalize a time unit such as "hrs" or "minutes"
+ * @param {String} unit - Unit as written
+ * @returns {String} minute, hour, day or week
+ */
+const normalizeUnit = (unit) => {
+  const lower = unit.toLowerCase();
+  if (lower.startsWith('min')) return 'minute';
+  if (lower.startsWith('h')) return 'hour';
+  if (lower.startsWith('d')) return 'day';
+  return 'week';
+};
+
+/**
+ * Convert a 12 or 24 hour clock time to hours and minutes
+ * @returns {Object} { hour, minute } or null if invalid
+ */
+const toClockTime = (hourText, minuteText, meridiem) => {
+  let hour = parseInt(hourText);
+  const minute = minuteText ? parseInt(minuteText) : 0;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+};
+
+/**
+ * Get the instant of a local clock time, a number of days from today
+ * @param {Object} clock - { hour, minute }
+ * @param {Number} dayOffset - Days after today
+ * @param {String} timeZone - IANA time zone
+ * @param {Date} now - Reference date
+ * @returns {Date} UTC instant
+ */
+const localTime = (clock, dayOffset, timeZone, now) => {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  const midnight = zonedMidnight(year, month, day + dayOffset, timeZone);
+  const elapsed = new Date(midnight.getTime() + clock.hour * UNIT_MS.hour + clock.minute * UNIT_MS.minute);
+
+  // On a DST change the day is not 24 hours long, so shift by the change in offset
+  const shift = getTimeZoneOffset(elapsed, timeZone) - getTimeZoneOffset(midnight, timeZone);
+  return new Date(elapsed.getTime() - shift);
+};
+
+/**
+ * Find a reminder time in free text
+ * Understands "in 2 hours", "in a day", "tomorrow", "tomorrow at 3pm" and "at 15:30".
+ * @param {String} input - Text containing a time
+ * @param {String} timeZone - IANA time zone of the user
+ * @param {Date} now - Reference date
+ * @returns {Object} { remind_at, match } or null if no time was found
+ */
+const findReminderTime = (input, timeZone = 'UTC', now = new Date()) => {
+  const relative = input.match(RELATIVE_PATTERN);
+  if (relative) {
+    const amount = /^an?$/i.test(relative[1]) ? 1 : parseInt(relative[1]);
+    if (amount < 1) return null;
+
+    return {
+      remind_at: new Date(now.getTime() + amount * UNIT_MS[normalizeUnit(relative[2])]),
+      match: relative[0]
+    };
+  }
+
+  const tomorrow = input.match(TOMORROW_PATTERN);
+  if (tomorrow) {
+    const clock = tomorrow[1]
+      ? toClockTime(tomorrow[1], tomorrow[2], tomorrow[3])
+      : { hour: DEFAULT_HOUR, minute: 0 };
+    if (!clock) return null;
+
+    return { remind_at: localTime(clock, 1, timeZone, now), match: tomorrow[0] };
+  }
+
+  const at = input.match(CLOCK_PATTERN);
+  if (at) {
+    const clock = toClockTime(at[1], at[2], at[3]);
+    if (!clock) return null;
+
+    // A time that has already passed today means tomorrow
+    let remindAt = localTime(clock, 0, timeZone, now);
+    if (remindAt <= now) {
+      remindAt = localTime(clock, 1, timeZone, now);
+    }
+
+    return { remind_at: remindAt, match: at[0] };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a reminder time given as an ISO date or a phrase such as "in 2 hours"
+ * @param {String} input - Time to parse
+ * @param {String} timeZone - IANA time zone of the user
+ * @param {Date} now - Reference date
+ * @returns {Date} Reminder time, or null if it cannot be parsed
+ */
+const parseReminderTime = (input, timeZone = 'UTC', now = new Date()) => {
+  if (typeof input !== 'string' || input.trim() === '') return null;
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(input.trim())) {
+    const date = new Date(input);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const found = findReminderTime(input, timeZone, now);
+  return found ? found.remind_at : null;
+};
+
+/**
+ * Parse a /remind style command such as "me to review the PR in 2 hours"
+ * @param {String} input - Command text
+ * @param {String} timeZone - IANA time zone of the user
+ * @param {Date} now - Reference date
+ * @returns {Object} { text, remind_at } or null if no time was found
+ */
+const parseReminderCommand = (input, timeZone = 'UTC', now = new Date()) => {
+  const found = findReminderTime(input, timeZone, now);
+  if (!found) return null;
+
+  const text = input
+    .replace(found.match, ' ')
+    .replace(/^\s*me\b/i, '')
+    .replace(/^\s*to\b/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { text, remind_at: found.remind_at };
+};
+
+/**
+ * Notify the user of a claimed reminder
+ * A reminder whose notification could not be created goes back to pending.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} reminder - Reminder in the 'sending' state
+ * @returns {Promise} Promise resolving to true if the reminder fired
+ */
+const fireReminder = async (io, reminder) => {
+  try {
+    await sendNotification(io, {
+      _id: reminder.notification_id,
+      recipient_id: reminder.user_id,
+      sender_id: reminder.user_id,
+      type: 'reminder',
+      message_id: reminder.message_id,
+      channel_id: reminder.channel_id,
+      content: reminder.text ? `Reminder: ${reminder.text}` : 'Reminder about a message'
+    });
+  } catch (error) {
+    console.error('Error sending reminder notification:', error);
+
+    // The error may have come after the notification was stored, e.g. while pushing it
+    const notification = await Notification.exists({ _id: reminder.notification_id });
+    if (!notification) {
+      await Reminder.updateOne(
+        { _id: reminder._id, status: 'sending' },
+        { status: 'pending', notification_id: null }
+      );
+      return false;
+    }
+  }
+
+  // Only settle the claim; a snooze or completion made meanwhile wins
+  await Reminder.updateOne(
+    { _id: reminder._id, status: 'sending' },
+    { status: 'fired', fired_at: Date.now() }
+  );
+  return true;
+};
+
+/**
+ * Fire every reminder that is due
+ * Each reminder is claimed atomically so it only fires once. Reminders that
+ * fail are retried on the next run rather than again in this one.
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise} Promise resolving to the number of reminders fired
+ */
+const dispatchDueReminders = async (io) => {
+  let fired = 0;
+  const failedIds = [];
+
+  for (;;) {
+    const reminder = await Reminder.findOneAndUpdate(
+      { _id: { $nin: failedIds }, status: 'pending', remind_at: { $lte: new Date() } },
+      { status: 'sending', notification_id: new mongoose.Types.ObjectId() },
+      { sort: { remind_at: 1 }, new: true }
+    );
+    if (!reminder) break;
+
+    if (await fireReminder(io, reminder)) {
+      fired += 1;
+    } else {
+      failedIds.push(reminder._id);
+    }
+  }
+
+  return fired;
+};
+
+/**
+ * Run a dispatch unless one is already in progress
+ * @param {Object} io - Socket.IO server instance
+ */
+const runDispatch = async (io) => {
+  if (dispatchRunning) return;
+  dispatchRunning = true;
+
+  try {
+    await dispatchDueReminders(io);
+  } catch (error) {
+    console.error('Error dispatching reminders:', error);
+  } finally {
+    dispatchRunning = false;
+  }
+};
+
+/**
+ * Settle reminders left 'sending' by a previous process
+ * A reminder whose reserved notification exists already fired and is marked
+ * fired; any other reminder is queued again.
+ */
+const recoverInterruptedReminders = async () => {
+  const interrupted = await Reminder.find({ status: 'sending' });
+
+  for (const reminder of interrupted) {
+    const notification = reminder.notification_id
+      ? await Notification.findById(reminder.notification_id).select('created_at')
+      : null;
+
+    await Reminder.updateOne(
+      { _id: reminder._id, status: 'sending' },
+      notification
+        ? { status: 'fired', fired_at: notification.created_at }
+        : { status: 'pending', notification_id: null }
+    );
+  }
+};
+
+/**
+ * Start the reminder dispatcher
+ * Reminders left 'sending' by a previous process are settled, then due
+ * reminders are checked every REMINDER_POLL_SECONDS.
+ * @param {Object} io - Socket.IO server instance
+ */
+const startReminderDispatcher = async (io) => {
+  if (dispatchTimer) return;
+
+  dispatchTimer = setInterval(() => runDispatch(io), POLL_INTERVAL_SECONDS * 1000);
+  dispatchTimer.unref();
+
+  try {
+    await recoverInterruptedReminders();
+  } catch (error) {
+    console.error('Error recovering reminders:', error);
+  }
+
+  runDispatch(io);
+};
+
+module.exports = {
+  parseReminderTime,
+  parseReminderCommand,
+  dispatchDueReminders,
+  startReminderDispatcher
+};
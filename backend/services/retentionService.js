@@ -0,0 +1,204 @@
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const MessageEmbedding = require('../models/MessageEmbedding');
+const MessageRevision = require('../models/MessageRevision');
+const RetentionLog = require('../models/RetentionLog');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+const { deleteFromCloudinary } = require('./fileService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.RETENTION_PURGE_INTERVAL_MINUTES) || 60;
+
+let purgeTimer = null;
+let purgeRunning = false;
+
+/**
+ * Delete uploaded files of purged messages, ignoring failures
+ * @param {Array} messages - Messages with file metadata
+ * @returns {Promise} Promise resolving to the number of files deleted
+ */
+const deleteMessageFiles = async (messages) => {
+  let deleted = 0;
+
+  for (const message of messages) {
+    const publicId = message.file_metadata && message.file_metadata.public_id;
+    if (!publicId) continue;
+
+    try {
+      await deleteFromCloudinary(publicId);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Error deleting file ${publicId} during retention purge:`, error.message);
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Delete a channel's messages that are older than its retention period
+ * @param {Object} channel - Channel document
+ * @param {Number} defaultDays - Workspace default retention in days
+ * @param {Object} options - { trigger, triggeredBy, now }
+ * @returns {Promise} Promise resolving to the retention log, or null if nothing applies
+ */
+const purgeChannel = async (channel, defaultDays, { trigger = 'schedule', triggeredBy = null, now = new Date() } = {}) => {
+  if (channel.legal_hold) return null;
+
+  const days = channel.getRetentionDays(defaultDays);
+  if (!days) return null;
+
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const query = { channel_id: channel._id, created_at: { $lt: cutoff } };
+  if (channel.retain_pinned) {
+    query.is_pinned = { $ne: true };
+  }
+
+  let deletedCount = 0;
+  let filesDeleted = 0;
+  let threadParentsKept = 0;
+  let cursor = null;
+
+  // Delete newest first, in batches so large channels don't load every message at once.
+  // Replies are always newer than their parent, so by the time a parent is reached its
+  // expired replies are gone and any reply still left is inside the retention period.
+  for (;;) {
+    const batchQuery = cursor
+      ? {
+        ...query,
+        $or: [
+          { created_at: { $lt: cursor.created_at } },
+          { created_at: cursor.created_at, _id: { $lt: cursor._id } }
+        ]
+      }
+      : query;
+
+    const batch = await Message.find(batchQuery)
+      .sort({ created_at: -1, _id: -1 })
+      .select('_id created_at thread_parent_id file_metadata')
+      .limit(PURGE_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    cursor = batch[batch.length - 1];
+    const batchIds = batch.map(message => message._id);
+
+    // Keep thread parents that still have replies outside this batch
+    const keptParents = await Message.distinct('thread_parent_id', {
+      thread_parent_id: { $in: batchIds },
+      _id: { $nin: batchIds }
+    });
+    const keptIds = new Set(keptParents.map(id => id.toString()));
+
+    // A kept reply in this batch keeps its own parent as well
+    const batchIdSet = new Set(batchIds.map(id => id.toString()));
+    let added = true;
+    while (added) {
+      added = false;
+      batch.forEach((message) => {
+        const parentId = message.thread_parent_id && message.thread_parent_id.toString();
+        if (parentId && keptIds.has(message._id.toString()) && batchIdSet.has(parentId) && !keptIds.has(parentId)) {
+          keptIds.add(parentId);
+          added = true;
+        }
+      });
+    }
+    threadParentsKept += keptIds.size;
+
+    const expired = batch.filter(message => !keptIds.has(message._id.toString()));
+    const ids = expired.map(message => message._id);
+
+    if (ids.length > 0) {
+      filesDeleted += await deleteMessageFiles(expired);
+
+      const result = await Message.deleteMany({ _id: { $in: ids } });
+      await MessageEmbedding.deleteMany({ message_id: { $in: ids } });
+      await MessageRevision.deleteMany({ message_id: { $in: ids } });
+      deletedCount += result.deletedCount;
+    }
+
+    if (batch.length < PURGE_BATCH_SIZE) break;
+  }
+
+  const pinnedKept = channel.retain_pinned
+    ? await Message.countDocuments({ channel_id: channel._id, created_at: { $lt: cutoff }, is_pinned: true })
+    : 0;
+
+  if (deletedCount === 0) return null;
+
+  const log = await RetentionLog.create({
+    channel_id: channel._id,
+    channel_name: channel.name,
+    retention_days: days,
+    cutoff,
+    deleted_count: deletedCount,
+    pinned_kept: pinnedKept,
+    thread_parents_kept: threadParentsKept,
+    files_deleted: filesDeleted,
+    trigger,
+    triggered_by: triggeredBy
+  });
+
+  console.log(`Retention purge removed ${deletedCount} message(s) older than ${days} day(s) from #${channel.name}`);
+
+  return log;
+};
+
+/**
+ * Run the retention policy of every channel
+ * @param {Object} options - { trigger, triggeredBy }
+ * @returns {Promise} Promise resolving to { channels, deleted_count, logs }
+ */
+const purgeExpiredMessages = async (options = {}) => {
+  const settings = await WorkspaceSettings.getSettings();
+  const channels = await Channel.find({ legal_hold: { $ne: true } });
+
+  const logs = [];
+  for (const channel of channels) {
+    try {
+      const log = await purgeChannel(channel, settings.message_retention_days, options);
+      if (log) logs.push(log);
+    } catch (error) {
+      console.error(`Error purging messages from #${channel.name}:`, error);
+    }
+  }
+
+  return {
+    channels: channels.length,
+    deleted_count: logs.reduce((sum, log) => sum + log.deleted_count, 0),
+    logs
+  };
+};
+
+/**
+ * Run a scheduled purge unless one is already in progress
+ */
+const runScheduledPurge = async () => {
+  if (purgeRunning) return;
+  purgeRunning = true;
+
+  try {
+    await purgeExpiredMessages();
+  } catch (error) {
+    console.error('Error running retention purge:', error);
+  } finally {
+    purgeRunning = false;
+  }
+};
+
+/**
+ * Start the scheduled retention purge
+ * Runs once on start, then every RETENTION_PURGE_INTERVAL_MINUTES.
+ */
+const startRetentionJob = () => {
+  if (purgeTimer) return;
+
+  runScheduledPurge();
+  purgeTimer = setInterval(runScheduledPurge, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  purgeTimer.unref();
+};
+
+module.exports = {
+  purgeExpiredMessages,
+  startRetentionJob
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const messageService = require('./messageService');
+
+const POLL_INTERVAL_SECONDS = parseInt(process.env.SCHEDULED_MESSAGE_POLL_SECONDS) || 30;
+
+let dispatchTimer = null;
+let dispatchRunning = false;
+
+/**
+ * Post a claimed scheduled message, re-checking that the author may still post
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} scheduled - Scheduled message in the 'sending' state
+ */
+const sendScheduledMessage = async (io, scheduled) => {
+  let update;
+
+  try {
+    const channel = await Channel.findById(scheduled.channel_id);
+    messageService.assertCanPost(channel, scheduled.author_id);
+
+    if (scheduled.thread_parent_id) {
+      await messageService.assertThreadParent(scheduled.thread_parent_id, scheduled.channel_id);
+    }
+
+    // The message ID was reserved when the row was claimed, so recovery can tell if it was posted
+    const message = await messageService.publishMessage(io, {
+      _id: scheduled.message_id,
+      content: scheduled.content,
+      author_id: scheduled.author_id,
+      channel_id: scheduled.channel_id,
+      thread_parent_id: scheduled.thread_parent_id
+    });
+
+    update = { status: 'sent', sent_at: message.created_at };
+  } catch (error) {
+    update = { status: 'failed', message_id: null, error: error.message };
+  }
+
+  // Write only the outcome, leaving the rest of the row as it was claimed
+  const settled = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduled._id, status: 'sending' },
+    update,
+    { new: true }
+  );
+
+  // Let the author's other sessions update their scheduled list
+  if (io && settled) {
+    io.to(`user:${scheduled.author_id}`).emit('scheduled_message:updated', settled);
+  }
+};
+
+/**
+ * Send every scheduled message that is due
+ * Each message is claimed atomically so it is never sent twice.
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Promise} Promise resolving to the number of messages processed
+ */
+const dispatchDueMessages = async (io) => {
+  let processed = 0;
+
+  for (;;) {
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { status: 'pending', send_at: { $lte: new Date() } },
+      { status: 'sending', message_id: new mongoose.Types.ObjectId() },
+      { sort: { send_at: 1 }, new: true }
+    );
+    if (!scheduled) break;
+
+    await sendScheduledMessage(io, scheduled);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Run a dispatch unless one is already in progress
+ * @param {Object} io - Socket.IO server instance
+ */
+const runDispatch = async (io) => {
+  if (dispatchRunning) return;
+  dispatchRunning = true;
+
+  try {
+    await dispatchDueMessages(io);
+  } catch (error) {
+    console.error('Error dispatching scheduled messages:', error);
+  } finally {
+    dispatchRunning = false;
+  }
+};
+
+/**
+ * Settle messages left 'sending' by a previous process
+ * A row whose reserved message exists was posted before the crash and is marked
+ * sent; any other row is queued again.
+ */
+const recoverInterruptedMessages = async () => {
+  const interrupted = await ScheduledMessage.find({ status: 'sending' });
+
+  for (const scheduled of interrupted) {
+    const message = scheduled.message_id
+      ? await Message.findById(scheduled.message_id).select('created_at')
+      : null;
+
+    const update = message
+      ? { status: 'sent', sent_at: message.created_at }
+      : { status: 'pending', message_id: null };
+    await ScheduledMessage.updateOne({ _id: scheduled._id, status: 'sending' }, update);
+  }
+};
+
+/**
+ * Start the scheduled message dispatcher
+ * Messages left 'sending' by a previous process are settled, then due
+ * messages are checked every SCHEDULED_MESSAGE_POLL_SECONDS.
+ * @param {Object} io - Socket.IO server instance
+ */
+const startScheduledMessageDispatcher = async (io) => {
+  if (dispatchTimer) return;
+
+  dispatchTimer = setInterval(() => runDispatch(io), POLL_INTERVAL_SECONDS * 1000);
+  dispatchTimer.unref();
+
+  try {
+    await recoverInterruptedMessages();
+  } catch (error) {
+    console.error('Error recovering scheduled messages:', error);
+  }
+
+  runDispatch(io);
+};
+
+module.exports = {
+  dispatchDueMessages,
+  startScheduledMessageDispatcher
+};
@@ -0,0 +1,114 @@
+const { AppError } = require('../middleware/errorHandler');
+const { escapeHtml, escapeRegex } = require('../utils/escape');
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Split a search query into filters and free-text terms
+ * Supported filters: from:, in:, has:file, is:pinned, is:thread, before:, after:
+ * @param {String} q - Raw query
+ * @returns {Object} { text, filters }
+ */
+const parseSearchQuery = (q) => {
+  const filters = { from: [], in: [], has: [], is: [] };
+  const terms = [];
+
+  // Keep quoted phrases together
+  const tokens = q.match(/"[^"]*"|\S+/g) || [];
+
+  tokens.forEach((token) => {
+    const match = token.match(/^(from|in|has|is|before|after):(.+)$/i);
+    if (!match) {
+      terms.push(token);
+      return;
+    }
+
+    const key = match[1].toLowerCase();
+    const value = match[2].replace(/^["@#]|"$/g, '');
+    if (key === 'before' || key === 'after') {
+      filters[key] = value;
+    } else {
+      filters[key].push(key === 'has' || key === 'is' ? value.toLowerCase() : value);
+    }
+  });
+
+  return { text: terms.join(' '), filters };
+};
+
+/**
+ * Build an HTML-escaped snippet with matched terms wrapped in <mark>
+ * @param {String} content - Message content
+ * @param {String} text - Free-text part of the query
+ * @returns {String} Highlighted snippet
+ */
+const buildSnippet = (content, text) => {
+  const words = (text.toLowerCase().match(/[^\s"]+/g) || [])
+    .filter(word => !word.startsWith('-'))
+    .map(escapeRegex);
+
+  if (words.length === 0) {
+    return escapeHtml(content.slice(0, SNIPPET_RADIUS * 2));
+  }
+
+  // Center the snippet on the first match
+  const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+  const first = content.search(pattern);
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(content.length, (first < 0 ? 0 : first) + SNIPPET_RADIUS * 2);
+  const excerpt = content.slice(start, end);
+
+  const highlighted = excerpt
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < content.length ? '…' : ''}`;
+};
+
+/**
+ * Encode a pagination cursor from the last message of a page
+ * @param {Object} message - Message object
+ * @returns {String} Opaque cursor
+ */
+const encodeCursor = (message) => {
+  return Buffer.from(`${message.created_at.getTime()}:${message._id}`).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {String} cursor - Opaque cursor
+ * @returns {Object} { createdAt, id }
+ */
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split(':');
+  const createdAt = new Date(parseInt(time));
+
+  if (isNaN(createdAt.getTime()) || !/^[a-f0-9]{24}$/.test(id || '')) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  return { createdAt, id };
+};
+
+/**
+ * Parse a before:/after: date filter
+ * @param {String} value - Filter value
+ * @param {String} name - Filter name for error messages
+ * @returns {Date} Parsed date
+ */
+const parseDateFilter = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name}: date`, 400);
+  }
+  return date;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+  parseDateFilter
+};
@@ -0,0 +1,152 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { generateToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * Get when a session refreshed now should expire
+ * @returns {Date} Expiry date
+ */
+const getSessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Read the device details of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { user_agent, ip_address }
+ */
+const getClientDetails = (req) => ({
+  user_agent: req.get('user-agent') || null,
+  ip_address: req.ip || null
+});
+
+/**
+ * Start a session for a user on a device
+ * @param {Object} user - User logging in
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to { session, token, refresh_token }
+ */
+const createSession = async (user, req) => {
+  const { token: refreshToken, token_hash } = Session.generateToken();
+
+  const session = await Session.create({
+    user_id: user._id,
+    refresh_token_hash: token_hash,
+    device_name: req.body.device_name,
+    ...getClientDetails(req),
+    expires_at: getSessionExpiry()
+  });
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refresh_token: refreshToken
+  };
+};
+
+/**
+ * Close a session's live Socket.IO connections
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {String} sessionId - Session ID
+ */
+const disconnectSessionSockets = (io, sessionId) => {
+  if (io) {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+};
+
+/**
+ * Revoke a session and disconnect its sockets
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Object} session - Session document
+ * @param {String} reason - Why the session ended
+ * @returns {Promise} Promise resolving to the session
+ */
+const revokeSession = async (io, session, reason) => {
+  if (!session.revoked_at) {
+    session.revoked_at = Date.now();
+    session.revoked_reason = reason;
+    await session.save();
+  }
+
+  disconnectSessionSockets(io, session._id);
+  return session;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {String} userId - User ID
+ * @param {String} reason - Why the sessions ended
+ * @param {String} exceptSessionId - Session to keep, such as the caller's own (optional)
+ * @returns {Promise} Promise resolving to the number of sessions revoked
+ */
+const revokeUserSessions = async (io, userId, reason, exceptSessionId = null) => {
+  const query = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(query).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(session => session._id) } },
+    { revoked_at: Date.now(), revoked_reason: reason }
+  );
+  sessions.forEach(session => disconnectSessionSockets(io, session._id));
+
+  return sessions.length;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working. Presenting it again revokes the
+ * session, since it means the token was copied.
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {String} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise} Promise resolving to { session, token, refresh_token }
+ */
+const refreshSession = async (io, refreshToken, req) => {
+  const tokenHash = Session.hashToken(refreshToken);
+  const { token: newRefreshToken, token_hash: newTokenHash } = Session.generateToken();
+
+  // Rotate atomically so a token can only be exchanged once
+  const session = await Session.findOneAndUpdate(
+    { refresh_token_hash: tokenHash, revoked_at: null, expires_at: { $gt: new Date() } },
+    {
+      refresh_token_hash: newTokenHash,
+      previous_token_hash: tokenHash,
+      last_used_at: Date.now(),
+      expires_at: getSessionExpiry(),
+      ...getClientDetails(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previous_token_hash: tokenHash, revoked_at: null });
+    if (reused) {
+      await revokeSession(io, reused, 'token_reuse');
+    }
+    throw new AppError('Invalid or expired refresh token. Please log in again.', 401);
+  }
+
+  const user = await User.findById(session.user_id);
+  if (!user) {
+    throw new AppError('The user belonging to this session no longer exists.', 401);
+  }
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refresh_token: newRefreshToken
+  };
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions
+};
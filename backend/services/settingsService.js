@@ -0,0 +1,56 @@
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const WorkspaceSettings = require('../models/WorkspaceSettings');
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Make the TTL index on created_at match a retention period
+ * @param {Object} Model - Mongoose model
+ * @param {Number} days - Retention in days (0 keeps documents forever)
+ */
+const syncTtlIndex = async (Model, days) => {
+  const collection = Model.collection;
+
+  // The collection may not exist yet
+  const indexes = await collection.indexes().catch(() => []);
+  const existing = indexes.find(index => (
+    Object.keys(index.key).length === 1 && index.key.created_at === 1
+  ));
+
+  if (!days) {
+    if (existing) await collection.dropIndex(existing.name);
+    return;
+  }
+
+  const expireAfterSeconds = days * SECONDS_PER_DAY;
+  if (existing && existing.expireAfterSeconds === expireAfterSeconds) return;
+
+  // Change the expiry in place when possible, otherwise rebuild the index
+  if (existing && existing.expireAfterSeconds !== undefined) {
+    await Model.db.db.command({
+      collMod: collection.collectionName,
+      index: { keyPattern: { created_at: 1 }, expireAfterSeconds }
+    });
+    return;
+  }
+
+  if (existing) await collection.dropIndex(existing.name);
+  await collection.createIndex({ created_at: 1 }, { expireAfterSeconds });
+};
+
+/**
+ * Rebuild the Notification TTL index from the workspace settings
+ * Messages are purged by retentionService, so any old Message TTL index is dropped.
+ * @param {Object} settings - Workspace settings (loaded if not provided)
+ */
+const syncRetentionIndexes = async (settings) => {
+  const current = settings || await WorkspaceSettings.getSettings();
+
+  await syncTtlIndex(Message, 0);
+  await syncTtlIndex(Notification, current.notification_retention_days);
+};
+
+module.exports = {
+  syncRetentionIndexes
+};
@@ -1,7 +1,42 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
-const emailService = require('./emailService');
+const aiService = require('./aiService');
+const embeddingService = require('./embeddingService');
+const messageService = require('./messageService');
+const commandService = require('./commandService');
+const eventService = require('./eventService');
+const ApiToken = require('../models/ApiToken');
+const { authenticateApiToken, verifyAccessToken } = require('../middleware/auth');
+
+/**
+ * Build the user data kept on a socket
+ * @param {Object} user - User document
+ * @returns {Object} Socket user data
+ */
+const buildSocketUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  display_name: user.display_name,
+  role: user.role,
+  is_bot: user.is_bot,
+  email_verified: user.email_verified
+});
+
+/**
+ * Ensure a socket may make a change that needs a scope
+ * Sockets opened with a session token have every scope, but unverified
+ * accounts can only read.
+ * @param {Object} socket - Socket instance
+ * @param {String} scope - Required scope
+ */
+const assertScope = (socket, scope) => {
+  if (socket.user.email_verified === false) {
+    throw new AppError('Please verify your email address to do this.', 403);
+  }
+  if (socket.scopes && !socket.scopes.includes(scope)) {
+    throw new AppError(`This token is missing the ${scope} scope.`, 403);
+  }
+};
 
 /**
  * Initialize Socket.IO with authentication
@@ -29,22 +64,25 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication error: Token not provided'));
       }
       
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Check if user exists
-      const user = await User.findById(decoded.id);
-      if (!user) {
-        return next(new Error('Authentication error: User not found'));
+      // API tokens must be able to read messages to receive live events
+      if (ApiToken.isApiToken(token)) {
+        const { user, apiToken } = await authenticateApiToken(token);
+        if (!apiToken.hasScope('messages:read')) {
+          return next(new Error('Authentication error: Token is missing the messages:read scope'));
+        }
+        
+        socket.user = buildSocketUser(user);
+        socket.scopes = apiToken.scopes;
+        socket.data.token_id = apiToken._id.toString();
+        return next();
       }
       
+      // Verify token and check that its session is still active
+      const { user, session } = await verifyAccessToken(token);
+      
       // Set user data on socket
-      socket.user = {
-        id: user._id,
-        email: user.email,
-        display_name: user.display_name,
-        role: user.role
-      };
+      socket.user = buildSocketUser(user);
+      socket.data.session_id = session._id.toString();
       
       next();
     } catch (error) {
@@ -59,6 +97,14 @@ const initializeSocket = (server) => {
     // Update user online status
     updateUserStatus(socket.user.id, true);
     
+    // Join user's personal room for direct notifications
+    socket.join(`user:${socket.user.id}`);
+    
+    // Join the session's room so revoking the session disconnects this socket
+    if (socket.data.session_id) {
+      socket.join(`session:${socket.data.session_id}`);
+    }
+    
     // Join user to their channels
     joinUserChannels(socket);
     
@@ -123,34 +169,58 @@ const joinUserChannels = async (socket) => {
  */
 const setupMessageEvents = (io, socket) => {
   const Message = require('../models/Message');
+  const MessageRevision = require('../models/MessageRevision');
   const Notification = require('../models/Notification');
+  const Channel = require('../models/Channel');
+  const WorkspaceSettings = require('../models/WorkspaceSettings');
   
   // New message
   socket.on('message:send', async (data, callback) => {
     try {
+      assertScope(socket, 'messages:write');
+      
       const { content, channel_id, thread_parent_id } = data;
       
-      // Create new message
-      const message = await Message.create({
-        content,
-        author_id: socket.user.id,
-        channel_id,
-        thread_parent_id: thread_parent_id || null
-      });
+      // Validate content
+      const settings = await WorkspaceSettings.getSettings();
+      if (content && content.length > settings.max_message_length) {
+        if (callback) return callback({ success: false, error: `Message cannot exceed ${settings.max_message_length} characters` });
+        return;
+      }
       
-      // Populate author details
-      await message.populate('author_id', 'display_name email');
+      // Check if channel exists
+      const channel = await Channel.findById(channel_id);
+      
+      // Slash commands are run instead of being posted
+      if (commandService.parseCommand(content)) {
+        const user = await User.findById(socket.user.id);
+        const result = await commandService.executeCommand(io, {
+          user,
+          channel,
+          content,
+          thread_parent_id,
+          scopes: socket.scopes || null
+        });
+        
+        if (callback) callback({ success: true, command: result });
+        return;
+      }
       
-      // Emit to channel
-      io.to(`channel:${channel_id}`).emit('message:new', message);
+      // Check if user may post in the channel
+      messageService.assertCanPost(channel, socket.user.id);
       
-      // If it's a thread reply, emit to thread subscribers
+      // If it's a thread reply, check if parent message exists
       if (thread_parent_id) {
-        io.to(`thread:${thread_parent_id}`).emit('thread:new_reply', message);
+        await messageService.assertThreadParent(thread_parent_id, channel._id);
       }
       
-      // Process mentions and create notifications
-      processMentions(message);
+      // Create, broadcast and index the message
+      const message = await messageService.publishMessage(io, {
+        content,
+        author_id: socket.user.id,
+        channel_id,
+        thread_parent_id: thread_parent_id || null
+      });
       
       // Send acknowledgment
       if (callback) callback({ success: true, message });
@@ -163,8 +233,22 @@ const setupMessageEvents = (io, socket) => {
   // Edit message
   socket.on('message:edit', async (data, callback) => {
     try {
+      assertScope(socket, 'messages:write');
+      
       const { message_id, content } = data;
       
+      // Validate content
+      const settings = await WorkspaceSettings.getSettings();
+      if (!content || content.trim() === '') {
+        if (callback) return callback({ success: false, error: 'Message content is required' });
+        return;
+      }
+      
+      if (content.length > settings.max_message_length) {
+        if (callback) return callback({ success: false, error: `Message cannot exceed ${settings.max_message_length} characters` });
+        return;
+      }
+      
       // Find message
       const message = await Message.findById(message_id);
       
@@ -175,17 +259,27 @@ const setupMessageEvents = (io, socket) => {
       }
       
       // Check if user is author
-      if (message.author_id.toString() !== socket.user.id) {
+      if (message.author_id.toString() !== socket.user.id.toString()) {
         if (callback) return callback({ success: false, error: 'Not authorized to edit this message' });
         return;
       }
       
-      // Check if message can be edited (within 5 minutes)
-      if (!message.canBeEdited()) {
-        if (callback) return callback({ success: false, error: 'Message can only be edited within 5 minutes of sending' });
+      // Check if message can be edited (within the edit window)
+      if (!message.canBeEdited(settings.message_edit_window_minutes)) {
+        if (callback) return callback({ success: false, error: `Message can only be edited within ${settings.message_edit_window_minutes} minutes of sending` });
         return;
       }
       
+      // Archived channels are read-only
+      const channel = await Channel.findById(message.channel_id);
+      if (channel && channel.is_archived) {
+        if (callback) return callback({ success: false, error: 'This channel is archived' });
+        return;
+      }
+      
+      // Keep the previous content in the edit history
+      await MessageRevision.recordRevision(message, 'edit', socket.user.id);
+      
       // Update message
       message.content = content;
       message.is_edited = true;
@@ -198,6 +292,12 @@ const setupMessageEvents = (io, socket) => {
       // Emit to channel
       io.to(`channel:${message.channel_id}`).emit('message:edited', message);
       
+      // Notify subscribed integrations
+      eventService.publishEvent('message:edited', message.channel_id, message);
+      
+      // Re-index edited message for semantic search
+      embeddingService.indexMessage(message);
+      
       // Send acknowledgment
       if (callback) callback({ success: true, message });
     } catch (error) {
@@ -209,30 +309,53 @@ const setupMessageEvents = (io, socket) => {
   // Delete message
   socket.on('message:delete', async (data, callback) => {
     try {
+      assertScope(socket, 'messages:write');
+      
       const { message_id } = data;
       
       // Find message
       const message = await Message.findById(message_id);
       
-      // Check if message exists
-      if (!message) {
+      // Check if message exists and has not already been deleted
+      if (!message || message.is_deleted) {
         if (callback) return callback({ success: false, error: 'Message not found' });
         return;
       }
       
-      // Check if user is author
-      if (message.author_id.toString() !== socket.user.id) {
-        if (callback) return callback({ success: false, error: 'Not authorized to delete this message' });
+      const channel = await Channel.findById(message.channel_id);
+      
+      // Check if user is author or may moderate the channel
+      if (message.author_id.toString() !== socket.user.id.toString()) {
+        if (!channel || !channel.hasPermission(socket.user.id, 'delete_any_message', socket.user.role)) {
+          if (callback) return callback({ success: false, error: 'Not authorized to delete this message' });
+          return;
+        }
+      }
+      
+      // Archived channels are read-only
+      if (channel && channel.is_archived) {
+        if (callback) return callback({ success: false, error: 'This channel is archived' });
         return;
       }
       
+      // Keep the original for admins until retention removes it
+      await MessageRevision.recordRevision(message, 'delete', socket.user.id);
+      
       // Soft delete message
       message.is_deleted = true;
       message.content = '[This message has been deleted]';
       await message.save();
       
+      const eventData = { message_id };
+      
       // Emit to channel
-      io.to(`channel:${message.channel_id}`).emit('message:deleted', { message_id });
+      io.to(`channel:${message.channel_id}`).emit('message:deleted', eventData);
+      
+      // Notify subscribed integrations
+      eventService.publishEvent('message:deleted', message.channel_id, eventData);
+      
+      // Remove message from semantic search
+      embeddingService.removeMessage(message._id);
       
       // Send acknowledgment
       if (callback) callback({ success: true });
@@ -242,6 +365,23 @@ const setupMessageEvents = (io, socket) => {
     }
   });
   
+  // Rewrite a draft in a target tone before sending
+  socket.on('message:rewrite_tone', async (data, callback) => {
+    try {
+      assertScope(socket, 'messages:write');
+      
+      const { content, tone } = data;
+
+      const rewritten = await aiService.rewriteTone(socket.user.id, content, tone);
+
+      // Send acknowledgment
+      if (callback) callback({ success: true, tone, content: rewritten });
+    } catch (error) {
+      console.error('Error rewriting message tone:', error);
+      if (callback) callback({ success: false, error: error.message });
+    }
+  });
+
   // Join thread
   socket.on('thread:join', (thread_id) => {
     socket.join(`thread:${thread_id}`);
@@ -255,6 +395,8 @@ const setupMessageEvents = (io, socket) => {
   // Add reaction
   socket.on('message:add_reaction', async (data, callback) => {
     try {
+      assertScope(socket, 'reactions:write');
+      
       const { message_id, emoji } = data;
       
       // Find message
@@ -272,18 +414,30 @@ const setupMessageEvents = (io, socket) => {
         return;
       }
       
+      // Archived channels are read-only
+      const channel = await Channel.findById(message.channel_id);
+      if (channel && channel.is_archived) {
+        if (callback) return callback({ success: false, error: 'This channel is archived' });
+        return;
+      }
+      
       // Add reaction
       await message.addReaction(emoji, socket.user.id);
       
-      // Emit to channel
-      io.to(`channel:${message.channel_id}`).emit('message:reaction_added', {
+      const eventData = {
         message_id: message._id,
         emoji,
         user: {
           _id: socket.user.id,
           display_name: socket.user.display_name
         }
-      });
+      };
+      
+      // Emit to channel
+      io.to(`channel:${message.channel_id}`).emit('message:reaction_added', eventData);
+      
+      // Notify subscribed integrations
+      eventService.publishEvent('message:reaction_added', message.channel_id, eventData);
       
       // Send acknowledgment
       if (callback) callback({ success: true });
@@ -296,6 +450,8 @@ const setupMessageEvents = (io, socket) => {
   // Remove reaction
   socket.on('message:remove_reaction', async (data, callback) => {
     try {
+      assertScope(socket, 'reactions:write');
+      
       const { message_id, emoji } = data;
       
       // Find message
@@ -313,15 +469,27 @@ const setupMessageEvents = (io, socket) => {
         return;
       }
       
+      // Archived channels are read-only
+      const channel = await Channel.findById(message.channel_id);
+      if (channel && channel.is_archived) {
+        if (callback) return callback({ success: false, error: 'This channel is archived' });
+        return;
+      }
+      
       // Remove reaction
       await message.removeReaction(emoji, socket.user.id);
       
-      // Emit to channel
-      io.to(`channel:${message.channel_id}`).emit('message:reaction_removed', {
+      const eventData = {
         message_id: message._id,
         emoji,
         user_id: socket.user.id
-      });
+      };
+      
+      // Emit to channel
+      io.to(`channel:${message.channel_id}`).emit('message:reaction_removed', eventData);
+      
+      // Notify subscribed integrations
+      eventService.publishEvent('message:reaction_removed', message.channel_id, eventData);
       
       // Send acknowledgment
       if (callback) callback({ success: true });
@@ -334,6 +502,8 @@ const setupMessageEvents = (io, socket) => {
   // Pin message
   socket.on('message:pin', async (data, callback) => {
     try {
+      assertScope(socket, 'messages:write');
+      
       const { message_id } = data;
       
       // Find message
@@ -351,15 +521,38 @@ const setupMessageEvents = (io, socket) => {
         return;
       }
       
+      // Check if user may pin messages in the channel
+      const channel = await Channel.findById(message.channel_id);
+      if (!channel || !channel.members.includes(socket.user.id)) {
+        if (callback) return callback({ success: false, error: 'You are not a member of this channel' });
+        return;
+      }
+      
+      // Archived channels are read-only
+      if (channel.is_archived) {
+        if (callback) return callback({ success: false, error: 'This channel is archived' });
+        return;
+      }
+      
+      if (!channel.hasPermission(socket.user.id, 'pin_message', socket.user.role)) {
+        if (callback) return callback({ success: false, error: 'Only channel owners and moderators can pin messages' });
+        return;
+      }
+      
       // Pin message
       message.is_pinned = true;
       await message.save();
       
-      // Emit to channel
-      io.to(`channel:${message.channel_id}`).emit('message:pinned', {
+      const eventData = {
         message_id: message._id,
         pinned_by: socket.user.id
-      });
+      };
+      
+      // Emit to channel
+      io.to(`channel:${message.channel_id}`).emit('message:pinned', eventData);
+      
+      // Notify subscribed integrations
+      eventService.publishEvent('message:pinned', message.channel_id, eventData);
       
       // Send acknowledgment
       if (callback) callback({ success: true });
@@ -372,6 +565,8 @@ const setupMessageEvents = (io, socket) => {
   // Unpin message
   socket.on('message:unpin', async (data, callback) => {
     try {
+      assertScope(socket, 'messages:write');
+      
       const { message_id } = data;
       
       // Find message
@@ -389,15 +584,38 @@ const setupMessageEvents = (io, socket) => {
         return;
       }
       
+      // Check if user may pin messages in the channel
+      const channel = await Channel.findById(message.channel_id);
+      if (!channel || !channel.members.includes(socket.user.id)) {
+        if (callback) return callback({ success: false, error: 'You are not a member of this channel' });
+        return;
+      }
+      
+      // Archived channels are read-only
+      if (channel.is_archived) {
+        if (callback) return callback({ success: false, error: 'This channel is archived' });
+        return;
+      }
+      
+      if (!channel.hasPermission(socket.user.id, 'pin_message', socket.user.role)) {
+        if (callback) return callback({ success: false, error: 'Only channel owners and moderators can unpin messages' });
+        return;
+      }
+      
       // Unpin message
       message.is_pinned = false;
       await message.save();
       
-      // Emit to channel
-      io.to(`channel:${message.channel_id}`).emit('message:unpinned', {
+      const eventData = {
         message_id: message._id,
         unpinned_by: socket.user.id
-      });
+      };
+      
+      // Emit to channel
+      io.to(`channel:${message.channel_id}`).emit('message:unpinned', eventData);
+      
+      // Notify subscribed integrations
+      eventService.publishEvent('message:unpinned', message.channel_id, eventData);
       
       // Send acknowledgment
       if (callback) callback({ success: true });
@@ -436,9 +654,18 @@ const setupTypingEvents = (io, socket) => {
  * @param {Object} socket - Socket instance
  */
 const setupChannelEvents = (io, socket) => {
-  // Join channel
+  // Join channel (members only, so private channels stay private)
   socket.on('channel:join', async (channel_id) => {
-    socket.join(`channel:${channel_id}`);
+    try {
+      const Channel = require('../models/Channel');
+      const channel = await Channel.findById(channel_id);
+      
+      if (channel && channel.members.includes(socket.user.id)) {
+        socket.join(`channel:${channel_id}`);
+      }
+    } catch (error) {
+      console.error('Error joining channel room:', error);
+    }
   });
   
   // Leave channel
@@ -448,64 +675,35 @@ const setupChannelEvents = (io, socket) => {
 };
 
 /**
- * Process mentions in message and create notifications
- * @param {Object} message - Message object
+ * Disconnect a user's sockets that were opened with an API token
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {String} userId - User the token belongs to
+ * @param {String} tokenId - Revoked token ID, or null for all of the user's tokens
  */
-const processMentions = async (message) => {
-  try {
-    // Extract mentions from message content (e.g., @username)
-    const mentionRegex = /@(\w+)/g;
-    const mentions = message.content.match(mentionRegex) || [];
-    
-    if (mentions.length === 0) return;
-    
-    const User = require('../models/User');
-    const Notification = require('../models/Notification');
-    const Channel = require('../models/Channel');
-    
-    for (const mention of mentions) {
-      const username = mention.substring(1); // Remove @ symbol
-      
-      // Find user by display name
-      const user = await User.findOne({ 
-        display_name: { $regex: new RegExp(`^${username}$`, 'i') } 
-      });
-      
-      if (user && user._id.toString() !== message.author_id.toString()) {
-        // Get sender details
-        const sender = await User.findById(message.author_id);
-        
-        // Get channel details
-        const channel = await Channel.findById(message.channel_id);
-        
-        // Create notification
-        await Notification.createNotification({
-          recipient_id: user._id,
-          sender_id: message.author_id,
-          type: 'mention',
-          message_id: message._id,
-          channel_id: message.channel_id,
-          content: `${sender.display_name} mentioned you in a message`
-        });
-        
-        // Send email notification (stub)
-        try {
-          await emailService.sendMentionEmail({
-            recipient: user,
-            sender,
-            message,
-            channel
-          });
-        } catch (emailError) {
-          console.error('Error sending email notification:', emailError);
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error processing mentions:', error);
-  }
+const disconnectTokenSockets = async (io, userId, tokenId = null) => {
+  if (!io) return;
+  
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  sockets
+    .filter(socket => socket.data.token_id && (!tokenId || socket.data.token_id === tokenId.toString()))
+    .forEach(socket => socket.disconnect(true));
+};
+
+/**
+ * Update the user data kept on a user's connected sockets
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {String} userId - User ID
+ * @param {Object} changes - Fields to change, e.g. { email_verified: true }
+ */
+const updateSocketUser = async (io, userId, changes) => {
+  if (!io) return;
+  
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  sockets.forEach(socket => Object.assign(socket.user, changes));
 };
 
 module.exports = {
-  initializeSocket
+  initializeSocket,
+  disconnectTokenSockets,
+  updateSocketUser
 }; 
\ No newline at end of file
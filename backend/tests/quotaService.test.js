@@ -0,0 +1,133 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AIQuota = require('../models/AIQuota');
+const AIUsage = require('../models/AIUsage');
+const User = require('../models/User');
+const { getWindowRange, checkQuota } = require('../services/quotaService');
+
+const iso = date => date.toISOString();
+
+describe('getWindowRange', () => {
+  it('uses UTC midnight by default', () => {
+    const { start, end } = getWindowRange('day', 'UTC', new Date('2024-06-10T20:00:00Z'));
+    assert.equal(iso(start), '2024-06-10T00:00:00.000Z');
+    assert.equal(iso(end), '2024-06-11T00:00:00.000Z');
+  });
+
+  it('starts the day at local midnight in a half-hour zone (Asia/Kolkata, +5:30)', () => {
+    // 01:30 on June 11 in Kolkata
+    const { start, end } = getWindowRange('day', 'Asia/Kolkata', new Date('2024-06-10T20:00:00Z'));
+    assert.equal(iso(start), '2024-06-10T18:30:00.000Z');
+    assert.equal(iso(end), '2024-06-11T18:30:00.000Z');
+  });
+
+  it('starts the day at local midnight in a 45-minute zone (Asia/Kathmandu, +5:45)', () => {
+    const { start, end } = getWindowRange('day', 'Asia/Kathmandu', new Date('2024-06-10T20:00:00Z'));
+    assert.equal(iso(start), '2024-06-10T18:15:00.000Z');
+    assert.equal(iso(end), '2024-06-11T18:15:00.000Z');
+  });
+
+  it('follows Australia/Adelaide between +9:30 and +10:30', () => {
+    const winter = getWindowRange('day', 'Australia/Adelaide', new Date('2024-06-10T15:00:00Z'));
+    assert.equal(iso(winter.start), '2024-06-10T14:30:00.000Z');
+
+    const summer = getWindowRange('day', 'Australia/Adelaide', new Date('2024-01-10T14:00:00Z'));
+    assert.equal(iso(summer.start), '2024-01-10T13:30:00.000Z');
+  });
+
+  it('handles the Adelaide spring-forward day (23 hours)', () => {
+    const { start, end } = getWindowRange('day', 'Australia/Adelaide', new Date('2024-10-06T06:00:00Z'));
+    assert.equal(iso(start), '2024-10-05T14:30:00.000Z');
+    assert.equal(iso(end), '2024-10-06T13:30:00.000Z');
+  });
+
+  it('handles the New York spring-forward and fall-back days', () => {
+    const spring = getWindowRange('day', 'America/New_York', new Date('2024-03-10T12:00:00Z'));
+    assert.equal(iso(spring.start), '2024-03-10T05:00:00.000Z');
+    assert.equal(iso(spring.end), '2024-03-11T04:00:00.000Z');
+
+    const fall = getWindowRange('day', 'America/New_York', new Date('2024-11-03T12:00:00Z'));
+    assert.equal(iso(fall.start), '2024-11-03T04:00:00.000Z');
+    assert.equal(iso(fall.end), '2024-11-04T05:00:00.000Z');
+  });
+
+  it('starts weeks on Monday across a DST change', () => {
+    // Sunday March 10, 2024 in New York
+    const { start, end } = getWindowRange('week', 'America/New_York', new Date('2024-03-10T12:00:00Z'));
+    assert.equal(iso(start), '2024-03-04T05:00:00.000Z');
+    assert.equal(iso(end), '2024-03-11T04:00:00.000Z');
+  });
+
+  it('starts months at local midnight in a half-hour zone', () => {
+    // 00:30 on February 1 in Kolkata
+    const { start, end } = getWindowRange('month', 'Asia/Kolkata', new Date('2024-01-31T19:00:00Z'));
+    assert.equal(iso(start), '2024-01-31T18:30:00.000Z');
+    assert.equal(iso(end), '2024-02-29T18:30:00.000Z');
+  });
+
+  it('always falls on a 15-minute usage bucket boundary', () => {
+    const zones = ['UTC', 'Asia/Kolkata', 'Asia/Kathmandu', 'Australia/Adelaide', 'America/St_Johns', 'Pacific/Chatham'];
+    zones.forEach((timeZone) => {
+      ['day', 'week', 'month'].forEach((window) => {
+        const { start, end } = getWindowRange(window, timeZone, new Date('2024-03-31T01:00:00Z'));
+        assert.equal(start.getTime() % (15 * 60 * 1000), 0, `${timeZone} ${window} start`);
+        assert.equal(end.getTime() % (15 * 60 * 1000), 0, `${timeZone} ${window} end`);
+      });
+    });
+  });
+});
+
+describe('checkQuota', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  /**
+   * Stub the user, quota rules and usage total
+   * @param {String} timeZone - User time zone
+   * @param {Number} used - Usage total to report
+   * @returns {Object} Mock of AIUsage.getUsageTotal
+   */
+  const stubUsage = (timeZone, used) => {
+    mock.method(User, 'findById', async () => ({ _id: userId, role: 'member', time_zone: timeZone }));
+    mock.method(AIQuota, 'find', async () => []);
+    return mock.method(AIUsage, 'getUsageTotal', async () => used);
+  };
+
+  afterEach(() => mock.restoreAll());
+
+  it('allows requests under the default daily limit', async () => {
+    const getUsageTotal = stubUsage('UTC', 19);
+    await checkQuota(userId, 'reply', new Date('2024-06-10T20:00:00Z'));
+    assert.equal(getUsageTotal.mock.callCount(), 1);
+  });
+
+  it('counts usage from local midnight in a half-hour zone', async () => {
+    const getUsageTotal = stubUsage('Asia/Kolkata', 0);
+    await checkQuota(userId, 'reply', new Date('2024-06-10T20:00:00Z'));
+
+    const [, start, end, featureType] = getUsageTotal.mock.calls[0].arguments;
+    assert.equal(iso(start), '2024-06-10T18:30:00.000Z');
+    assert.equal(iso(end), '2024-06-11T18:30:00.000Z');
+    assert.equal(featureType, 'all');
+  });
+
+  it('rejects requests at the limit and reports the local reset time', async () => {
+    stubUsage('Australia/Adelaide', 20);
+    await assert.rejects(
+      checkQuota(userId, 'reply', new Date('2024-06-10T15:00:00Z')),
+      (error) => {
+        assert.equal(error.statusCode, 429);
+        assert.match(error.message, /Resets at 2024-06-11T14:30:00\.000Z/);
+        return true;
+      }
+    );
+  });
+
+  it('resets after a 23-hour day when DST starts', async () => {
+    stubUsage('America/New_York', 20);
+    await assert.rejects(
+      checkQuota(userId, 'tone', new Date('2024-03-10T12:00:00Z')),
+      /Resets at 2024-03-11T04:00:00\.000Z/
+    );
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Reminder = require('../models/Reminder');
+const { parseReminderTime, parseReminderCommand, dispatchDueReminders } = require('../services/reminderService');
+
+const at = (input, timeZone, now) => parseReminderTime(input, timeZone, new Date(now)).toISOString();
+
+describe('parseReminderTime', () => {
+  it('adds relative durations', () => {
+    assert.equal(at('in 2 hours', 'UTC', '2024-06-10T02:00:00Z'), '2024-06-10T04:00:00.000Z');
+    assert.equal(at('in a day', 'UTC', '2024-06-10T02:00:00Z'), '2024-06-11T02:00:00.000Z');
+    assert.equal(at('in 15 mins', 'UTC', '2024-06-10T02:00:00Z'), '2024-06-10T02:15:00.000Z');
+    assert.equal(at('in 1 week', 'UTC', '2024-06-10T02:00:00Z'), '2024-06-17T02:00:00.000Z');
+  });
+
+  it('accepts ISO dates as they are', () => {
+    assert.equal(at('2024-07-01T09:00:00Z', 'Asia/Tokyo', '2024-06-10T02:00:00Z'), '2024-07-01T09:00:00.000Z');
+  });
+
+  it('reads clock times in the user\'s time zone', () => {
+    // 07:45 in Kathmandu (+5:45)
+    assert.equal(at('at 15:30', 'Asia/Kathmandu', '2024-06-10T02:00:00Z'), '2024-06-10T09:45:00.000Z');
+    // 09:00 in Kolkata (+5:30)
+    assert.equal(at('at 3pm', 'Asia/Kolkata', '2024-06-10T03:30:00Z'), '2024-06-10T09:30:00.000Z');
+  });
+
+  it('rolls a time that has already passed today to tomorrow', () => {
+    // 17:30 in Kolkata
+    assert.equal(at('at 3pm', 'Asia/Kolkata', '2024-06-10T12:00:00Z'), '2024-06-11T09:30:00.000Z');
+    // Exactly 3pm is not in the future either
+    assert.equal(at('at 3pm', 'UTC', '2024-06-10T15:00:00Z'), '2024-06-11T15:00:00.000Z');
+  });
+
+  it('uses the local date, not the UTC date, for tomorrow', () => {
+    // 23:00 on June 9 in New York, already June 10 in UTC
+    assert.equal(at('tomorrow at 9am', 'America/New_York', '2024-06-10T03:00:00Z'), '2024-06-10T13:00:00.000Z');
+  });
+
+  it('defaults tomorrow to 9am', () => {
+    assert.equal(at('tomorrow', 'UTC', '2024-06-10T20:00:00Z'), '2024-06-11T09:00:00.000Z');
+  });
+
+  it('keeps the local time on DST change days', () => {
+    // New York springs forward on March 10 and falls back on November 3, 2024
+    assert.equal(at('at 3pm', 'America/New_York', '2024-03-10T12:00:00Z'), '2024-03-10T19:00:00.000Z');
+    assert.equal(at('at 3pm', 'America/New_York', '2024-11-03T12:00:00Z'), '2024-11-03T20:00:00.000Z');
+    assert.equal(at('tomorrow at 9:30am', 'America/New_York', '2024-03-09T20:00:00Z'), '2024-03-10T13:30:00.000Z');
+
+    // Adelaide moves from +9:30 to +10:30 on October 6, 2024
+    assert.equal(at('tomorrow', 'Australia/Adelaide', '2024-10-05T03:00:00Z'), '2024-10-05T22:30:00.000Z');
+  });
+
+  it('rejects invalid or missing times', () => {
+    ['', 'at 13pm', 'at 25:00', 'in 0 days', 'next week', undefined].forEach((input) => {
+      assert.equal(parseReminderTime(input, 'UTC', new Date('2024-06-10T02:00:00Z')), null);
+    });
+  });
+});
+
+describe('parseReminderCommand', () => {
+  const now = new Date('2024-06-10T02:00:00Z');
+
+  it('splits the reminder text from the time', () => {
+    const { text, remind_at: remindAt } = parseReminderCommand('me to review the PR in 2 hours', 'UTC', now);
+    assert.equal(text, 'review the PR');
+    assert.equal(remindAt.toISOString(), '2024-06-10T04:00:00.000Z');
+  });
+
+  it('finds the time anywhere in the text', () => {
+    const { text, remind_at: remindAt } = parseReminderCommand('me tomorrow at 9am to call Sam', 'UTC', now);
+    assert.equal(text, 'call Sam');
+    assert.equal(remindAt.toISOString(), '2024-06-11T09:00:00.000Z');
+  });
+
+  it('returns null without a time', () => {
+    assert.equal(parseReminderCommand('me to call Sam', 'UTC', now), null);
+  });
+});
+
+describe('dispatchDueReminders', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('puts a reminder back to pending when its notification cannot be created', async () => {
+    const reminder = {
+      _id: new mongoose.Types.ObjectId(),
+      user_id: new mongoose.Types.ObjectId(),
+      notification_id: new mongoose.Types.ObjectId(),
+      text: 'call Sam'
+    };
+
+    // Only hand out the reminder while it has not been tried in this run
+    mock.method(Reminder, 'findOneAndUpdate', async (filter) => (
+      filter._id.$nin.some(id => id.equals(reminder._id)) ? null : reminder
+    ));
+    const updateOne = mock.method(Reminder, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(Notification, 'createNotification', async () => {
+      throw new Error('connection reset');
+    });
+    mock.method(Notification, 'exists', async () => null);
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await dispatchDueReminders(null), 0);
+
+    assert.equal(updateOne.mock.callCount(), 1);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: reminder._id, status: 'sending' });
+    assert.deepEqual(update, { status: 'pending', notification_id: null });
+  });
+
+  it('marks a reminder fired once its notification exists', async () => {
+    const reminder = {
+      _id: new mongoose.Types.ObjectId(),
+      user_id: new mongoose.Types.ObjectId(),
+      notification_id: new mongoose.Types.ObjectId(),
+      text: 'call Sam'
+    };
+
+    let claimed = false;
+    mock.method(Reminder, 'findOneAndUpdate', async () => {
+      if (claimed) return null;
+      claimed = true;
+      return reminder;
+    });
+    const updateOne = mock.method(Reminder, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const createNotification = mock.method(Notification, 'createNotification', async data => data);
+
+    assert.equal(await dispatchDueReminders(null), 1);
+
+    assert.equal(createNotification.mock.calls[0].arguments[0]._id, reminder.notification_id);
+    const [, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(update.status, 'fired');
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSearchQuery,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+  parseDateFilter
+} = require('../services/searchService');
+
+describe('parseSearchQuery', () => {
+  it('separates filters from free text', () => {
+    const { text, filters } = parseSearchQuery('deploy from:alice in:general has:file is:pinned');
+    assert.equal(text, 'deploy');
+    assert.deepEqual(filters, { from: ['alice'], in: ['general'], has: ['file'], is: ['pinned'] });
+  });
+
+  it('keeps quoted phrases and negated words in the text', () => {
+    const { text } = parseSearchQuery('"release notes" -draft');
+    assert.equal(text, '"release notes" -draft');
+  });
+
+  it('strips @ and # prefixes and lowercases has: and is:', () => {
+    const { filters } = parseSearchQuery('from:@alice in:#General has:FILE is:Thread');
+    assert.deepEqual(filters.from, ['alice']);
+    assert.deepEqual(filters.in, ['General']);
+    assert.deepEqual(filters.has, ['file']);
+    assert.deepEqual(filters.is, ['thread']);
+  });
+
+  it('keeps only the last before: and after: dates', () => {
+    const { text, filters } = parseSearchQuery('after:2024-01-01 before:2024-02-01 before:2024-03-01');
+    assert.equal(text, '');
+    assert.equal(filters.after, '2024-01-01');
+    assert.equal(filters.before, '2024-03-01');
+  });
+
+  it('collects repeated filters', () => {
+    const { filters } = parseSearchQuery('from:alice from:bob');
+    assert.deepEqual(filters.from, ['alice', 'bob']);
+  });
+
+  it('treats unknown prefixes as text', () => {
+    const { text, filters } = parseSearchQuery('http://example.com to:bob');
+    assert.equal(text, 'http://example.com to:bob');
+    assert.deepEqual(filters, { from: [], in: [], has: [], is: [] });
+  });
+});
+
+describe('buildSnippet', () => {
+  it('highlights every matched word and escapes HTML', () => {
+    const snippet = buildSnippet('<b>Deploy</b> the release & notes now', 'deploy notes');
+    assert.equal(snippet, '&lt;b&gt;<mark>Deploy</mark>&lt;/b&gt; the release &amp; <mark>notes</mark> now');
+  });
+
+  it('ignores negated words', () => {
+    assert.equal(buildSnippet('draft plan', 'plan -draft'), 'draft <mark>plan</mark>');
+  });
+
+  it('centers long content on the first match', () => {
+    const content = `${'x'.repeat(200)} target ${'y'.repeat(200)}`;
+    const snippet = buildSnippet(content, 'target');
+
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes('<mark>target</mark>'));
+    assert.ok(snippet.length < content.length);
+  });
+
+  it('treats regex characters in the query literally', () => {
+    assert.equal(buildSnippet('cost is $5 (approx)', '(approx)'), 'cost is $5 <mark>(approx)</mark>');
+  });
+
+  it('shows the start of the message when there is no free text', () => {
+    assert.equal(buildSnippet('a<b', ''), 'a&lt;b');
+  });
+});
+
+describe('pagination cursors', () => {
+  const message = { created_at: new Date('2024-06-01T12:30:00Z'), _id: '65f1a2b3c4d5e6f7a8b9c0d1' };
+
+  it('round-trips the creation time and ID', () => {
+    const { createdAt, id } = decodeCursor(encodeCursor(message));
+    assert.equal(createdAt.toISOString(), '2024-06-01T12:30:00.000Z');
+    assert.equal(id, '65f1a2b3c4d5e6f7a8b9c0d1');
+  });
+
+  it('rejects malformed cursors with a 400', () => {
+    const invalid = [
+      'garbage',
+      Buffer.from('notatime:65f1a2b3c4d5e6f7a8b9c0d1').toString('base64url'),
+      Buffer.from(`${Date.now()}:not-an-id`).toString('base64url'),
+      Buffer.from(`${Date.now()}`).toString('base64url')
+    ];
+
+    invalid.forEach((cursor) => {
+      assert.throws(() => decodeCursor(cursor), { statusCode: 400, message: 'Invalid cursor' });
+    });
+  });
+});
+
+describe('parseDateFilter', () => {
+  it('parses ISO dates', () => {
+    assert.equal(parseDateFilter('2024-06-01', 'before').toISOString(), '2024-06-01T00:00:00.000Z');
+  });
+
+  it('names the filter in the error', () => {
+    assert.throws(() => parseDateFilter('someday', 'after'), { statusCode: 400, message: 'Invalid after: date' });
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { refreshSession } = require('../services/sessionService');
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1', body: {} };
+
+/**
+ * Keep sessions in memory and answer the queries refreshSession makes
+ */
+const createStore = () => {
+  const sessions = [];
+
+  const matches = (session, filter) => Object.entries(filter).every(([key, value]) => {
+    if (value && value.$gt) return session[key] > value.$gt;
+    return session[key] === value;
+  });
+
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    if (!session) return null;
+    Object.assign(session, update);
+    return session;
+  });
+  mock.method(Session, 'findOne', async filter => sessions.find(candidate => matches(candidate, filter)) || null);
+
+  return {
+    sessions,
+    add: (fields = {}) => {
+      const { token, token_hash } = Session.generateToken();
+      const session = {
+        _id: new mongoose.Types.ObjectId(),
+        user_id: new mongoose.Types.ObjectId(),
+        refresh_token_hash: token_hash,
+        previous_token_hash: null,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        revoked_at: null,
+        revoked_reason: null,
+        save: async () => {},
+        ...fields
+      };
+      sessions.push(session);
+      return { session, token };
+    }
+  };
+};
+
+/**
+ * Record which session rooms had their sockets disconnected
+ */
+const createIo = () => {
+  const disconnected = [];
+  return {
+    disconnected,
+    in: room => ({ disconnectSockets: () => disconnected.push(room) })
+  };
+};
+
+describe('refreshSession', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+    mock.method(User, 'findById', async id => ({ _id: id }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rotates the refresh token and issues an access token for the session', async () => {
+    const { session, token } = store.add();
+
+    const result = await refreshSession(createIo(), token, req);
+
+    assert.notEqual(result.refresh_token, token);
+    assert.equal(session.refresh_token_hash, Session.hashToken(result.refresh_token));
+    assert.equal(session.previous_token_hash, Session.hashToken(token));
+    assert.equal(session.user_agent, 'test-agent');
+
+    const decoded = jwt.verify(result.token, process.env.JWT_SECRET);
+    assert.equal(decoded.id, session.user_id.toString());
+    assert.equal(decoded.sid, session._id.toString());
+  });
+
+  it('extends the session on every refresh', async () => {
+    const { session, token } = store.add({ expires_at: new Date(Date.now() + 60 * 1000) });
+
+    await refreshSession(createIo(), token, req);
+
+    assert.ok(session.expires_at > new Date(Date.now() + 24 * 60 * 60 * 1000));
+  });
+
+  it('lets the rotated token be exchanged again', async () => {
+    const { token } = store.add();
+
+    const first = await refreshSession(createIo(), token, req);
+    const second = await refreshSession(createIo(), first.refresh_token, req);
+
+    assert.ok(second.refresh_token);
+  });
+
+  it('revokes the session when a replaced token is presented again', async () => {
+    const { session, token } = store.add();
+    const io = createIo();
+
+    const { refresh_token: current } = await refreshSession(io, token, req);
+
+    await assert.rejects(refreshSession(io, token, req), { statusCode: 401 });
+    assert.ok(session.revoked_at);
+    assert.equal(session.revoked_reason, 'token_reuse');
+    assert.deepEqual(io.disconnected, [`session:${session._id}`]);
+
+    // The legitimate holder is signed out as well
+    await assert.rejects(refreshSession(io, current, req), { statusCode: 401 });
+  });
+
+  it('rejects an unknown token without revoking anything', async () => {
+    const { session } = store.add();
+    const io = createIo();
+
+    await assert.rejects(refreshSession(io, 'not-a-token', req), { statusCode: 401 });
+    assert.equal(session.revoked_at, null);
+    assert.deepEqual(io.disconnected, []);
+  });
+
+  it('rejects tokens of expired or revoked sessions', async () => {
+    const expired = store.add({ expires_at: new Date(Date.now() - 1000) });
+    const revoked = store.add({ revoked_at: new Date(), revoked_reason: 'logout' });
+
+    await assert.rejects(refreshSession(createIo(), expired.token, req), { statusCode: 401 });
+    await assert.rejects(refreshSession(createIo(), revoked.token, req), { statusCode: 401 });
+  });
+
+  it('rejects sessions whose user no longer exists', async () => {
+    const { token } = store.add();
+    User.findById.mock.mockImplementation(async () => null);
+
+    await assert.rejects(refreshSession(createIo(), token, req), {
+      statusCode: 401,
+      message: 'The user belonging to this session no longer exists.'
+    });
+  });
+});
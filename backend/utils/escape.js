@@ -0,0 +1,23 @@
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {String} value - Untrusted text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {String} value - Raw value
+ * @returns {String} Escaped value
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeHtml,
+  escapeRegex
+};